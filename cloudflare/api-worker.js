@@ -1,14 +1,199 @@
+import { buildFestivalCalendar } from "../src/lib/calendar.js";
+import {
+  parseDate,
+  toLocalDateKey,
+  withDerivedFestivalDates,
+  isFestivalOpenBetween,
+} from "../src/lib/festival-dates.js";
+import { getDistanceKm } from "../src/lib/geo.js";
+import {
+  MOCK_SCENARIOS,
+  isMockScenario,
+  resolveMockScenario,
+  buildMockWeatherKitResponse,
+} from "./weatherkit-mock.js";
+
 const WEATHERKIT_BASE_URL = "https://weatherkit.apple.com/api/v1/weather/en";
+const FORECAST_DATA_SETS = [
+  "currentWeather",
+  "forecastDaily",
+  "forecastHourly",
+];
+const ALERT_DATA_SETS = ["weatherAlerts"];
+const WEATHER_ALERT_FIELDS = [
+  "id",
+  "areaName",
+  "description",
+  "severity",
+  "certainty",
+  "urgency",
+  "source",
+  "detailsUrl",
+  "effectiveTime",
+  "eventOnsetTime",
+  "eventEndTime",
+  "expireTime",
+];
+// Hourly data covers the same window as the 10-day daily forecast.
+const HOURLY_FORECAST_HOURS = 240;
+const HOURLY_FORECAST_FIELDS = [
+  "forecastStart",
+  "conditionCode",
+  "daylight",
+  "temperature",
+  "precipitationChance",
+  "precipitationType",
+  "precipitationAmount",
+  "windSpeed",
+  "windGust",
+  "uvIndex",
+];
+// WeatherKit lookups snap to a ~5 km grid so nearby fairs share cache entries.
+const WEATHER_GRID_DEGREES = 0.05;
+// Edge cache keys live under a synthetic origin; they are never fetched.
+const WEATHER_CACHE_ORIGIN = "https://weather-cache.renfo.internal";
+// Forecast freshness follows WeatherKit's `metadata.expireTime`, within bounds.
+const WEATHER_DEFAULT_TTL_SECONDS = 600;
+const WEATHER_MIN_TTL_SECONDS = 60;
+const WEATHER_MAX_TTL_SECONDS = 3600;
+const WEATHER_ALERTS_TTL_SECONDS = 300;
+// Expired entries stay this long to answer when WeatherKit fails.
+const WEATHER_STALE_IF_ERROR_SECONDS = 86400;
+const WEATHER_STALE_MAX_AGE_SECONDS = 60;
+const WEATHER_FRESH_UNTIL_HEADER = "x-renfo-fresh-until";
+const WEATHER_CACHE_STATUS_HEADER = "X-Renfo-Cache";
+// Batch lookups fan out to one cached forecast per grid cell; keep them small
+// enough that a cold batch doesn't burn through the WeatherKit quota.
+const WEATHER_BATCH_MAX_POINTS = 20;
+const WEATHER_POINT_PATTERN = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/;
+// Weather routes are budgeted per client IP and per Origin over a fixed window.
+// Budgets come from wrangler vars; 0 turns a limit off.
+const RATE_LIMIT_DEFAULT_WINDOW_SECONDS = 60;
+const RATE_LIMIT_DEFAULT_PER_IP = 120;
+const RATE_LIMIT_DEFAULT_PER_ORIGIN = 3000;
+// Bounds the counter map when many distinct clients hit one isolate.
+const RATE_LIMIT_MAX_TRACKED_KEYS = 10000;
+const FESTIVAL_POINTS_TTL_MS = 5 * 60 * 1000;
+// Set on every response; cf-ray when Cloudflare provides it, so a reported ID
+// also finds the request in Cloudflare's own logs.
+const REQUEST_ID_HEADER = "X-Renfo-Request-Id";
+const WEATHERKIT_REQUIRED_VARS = [
+  "WEATHERKIT_TEAM_ID",
+  "WEATHERKIT_SERVICE_ID",
+  "WEATHERKIT_KEY_ID",
+  "WEATHERKIT_P8",
+];
+const CLIMATE_ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const CLIMATE_SAMPLE_YEARS = 10;
+const CLIMATE_MAX_RANGE_DAYS = 120;
+// Days with at least this much precipitation (mm) count toward rain chance.
+const CLIMATE_WET_DAY_MM = 1;
+// Averages only move when the sample years roll over, which is in the key.
+const CLIMATE_CACHE_TTL_SECONDS = 30 * 86400;
+// Subscribed calendars are told to poll at this interval (hours).
+const CALENDAR_REFRESH_HOURS = 12;
+// Status and days-until change at midnight, so clients always revalidate; the
+// ETag turns unchanged repeats into a 304.
+const FESTIVALS_CACHE_CONTROL = "public, max-age=0, must-revalidate";
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 const encoder = new TextEncoder();
 
 let cachedSigningKeyPromise = null;
 let cachedToken = null;
 let cachedTokenExpUnix = 0;
+// Upstream WeatherKit fetches in flight, by cache key. Isolate-local, so
+// concurrent misses on one instance share a single call.
+const pendingWeatherFetches = new Map();
+
+// Fixed-window request counts keyed by `ip:...` / `origin:...`. Isolate-local
+// like the fetch map above, so each instance enforces its own budget; that is
+// enough to blunt a scripted client without a storage round trip per request.
+const rateLimitWindows = new Map();
+// Festival coordinates for the optional proximity check, refreshed every few
+// minutes.
+let festivalPointsCache = null;
 
 function getEnvString(env, key) {
   return String(env?.[key] ?? "").trim();
 }
 
+function getEnvCount(env, key, fallback) {
+  const raw = getEnvString(env, key);
+  if (!raw) return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback;
+}
+
+/** One JSON line per event so Workers Logs can filter, count and chart them. */
+function logEvent(event, fields = {}) {
+  console.log(JSON.stringify({ event, ...fields }));
+}
+
+function getRouteName(url) {
+  const path = url.pathname.replace(/\/+$/, "");
+  if (path.endsWith("/api/health")) return "health";
+  if (/\/api\/calendar(\.ics)?$/.test(path)) return "calendar";
+  if (/\/api\/festivals(\/[^/]+)?$/.test(path)) return "festivals";
+  return `weather.${getWeatherRouteName(url)}`;
+}
+
+/**
+ * Per-request facts collected while handling it and logged once at the end.
+ * Handlers that reach upstream services add their time and cache results.
+ */
+function createRequestLog(request) {
+  return {
+    requestId: request.headers.get("cf-ray") || crypto.randomUUID(),
+    method: request.method,
+    route: getRouteName(new URL(request.url)),
+    origin: request.headers.get("Origin") || null,
+    startedAt: Date.now(),
+    upstreamMs: 0,
+    cacheStatuses: [],
+    error: null,
+  };
+}
+
+/** Await upstream work, adding its duration to the request log. */
+async function timeUpstream(requestLog, work) {
+  const startedAt = Date.now();
+  try {
+    return await work;
+  } finally {
+    if (requestLog) requestLog.upstreamMs += Date.now() - startedAt;
+  }
+}
+
+function logRequest(requestLog, status) {
+  const cacheStatuses = Array.from(new Set(requestLog.cacheStatuses));
+  logEvent("request", {
+    requestId: requestLog.requestId,
+    method: requestLog.method,
+    route: requestLog.route,
+    status,
+    durationMs: Date.now() - requestLog.startedAt,
+    upstreamMs: requestLog.upstreamMs,
+    // Batches that mix hits and misses log MIXED.
+    cache: cacheStatuses.length > 1 ? "MIXED" : (cacheStatuses[0] ?? null),
+    origin: requestLog.origin,
+    ...(requestLog.error ? { error: requestLog.error } : {}),
+  });
+}
+
+function withRequestId(response, requestId) {
+  // Copy so headers are mutable whatever produced the response.
+  const tagged = new Response(response.body, response);
+  tagged.headers.set(REQUEST_ID_HEADER, requestId);
+  return tagged;
+}
+
+/** 5xx body for an unexpected failure; the message also goes to the log. */
+function errorResponse(status, code, error, corsHeaders, requestLog) {
+  const message = String(error?.message ?? "Unknown error.");
+  requestLog.error = message;
+  return jsonResponse(status, { error: code, message }, corsHeaders);
+}
+
 function getAllowedOrigins(env) {
   const multi = getEnvString(env, "ALLOWED_ORIGINS");
   if (multi) {
@@ -249,6 +434,7 @@ function buildCorsHeaders(request, env) {
     "Access-Control-Allow-Methods": "GET, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type",
     "Access-Control-Max-Age": "86400",
+    "Access-Control-Expose-Headers": `Retry-After, ${REQUEST_ID_HEADER}`,
     Vary: "Origin",
   };
 }
@@ -276,73 +462,1235 @@ function parseCoordinate(rawValue, min, max) {
   return value;
 }
 
-function buildWeatherKitUrl(lat, lng) {
+function getRateLimitConfig(env) {
+  return {
+    windowSeconds:
+      getEnvCount(env, "WEATHER_RATE_LIMIT_WINDOW_SECONDS", 0) ||
+      RATE_LIMIT_DEFAULT_WINDOW_SECONDS,
+    perIp: getEnvCount(
+      env,
+      "WEATHER_RATE_LIMIT_PER_IP",
+      RATE_LIMIT_DEFAULT_PER_IP,
+    ),
+    perOrigin: getEnvCount(
+      env,
+      "WEATHER_RATE_LIMIT_PER_ORIGIN",
+      RATE_LIMIT_DEFAULT_PER_ORIGIN,
+    ),
+  };
+}
+
+function getRateLimitRules(env, request) {
+  const config = getRateLimitConfig(env);
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const origin = request.headers.get("Origin") || "none";
+  return [
+    { scope: "ip", key: `ip:${ip}`, limit: config.perIp },
+    { scope: "origin", key: `origin:${origin}`, limit: config.perOrigin },
+  ]
+    .filter((rule) => rule.limit > 0)
+    .map((rule) => ({ ...rule, windowMs: config.windowSeconds * 1000 }));
+}
+
+function pruneRateLimitWindows(now) {
+  if (rateLimitWindows.size < RATE_LIMIT_MAX_TRACKED_KEYS) return;
+  for (const [key, bucket] of rateLimitWindows) {
+    if (bucket.resetAt <= now) rateLimitWindows.delete(key);
+  }
+  // Still full of live windows: drop the oldest rather than grow unbounded.
+  for (const key of rateLimitWindows.keys()) {
+    if (rateLimitWindows.size < RATE_LIMIT_MAX_TRACKED_KEYS) break;
+    rateLimitWindows.delete(key);
+  }
+}
+
+/**
+ * Charge `cost` requests against the caller's IP and Origin budgets. Returns
+ * the exhausted rule (with seconds until its window resets) or null. Nothing
+ * is charged when any budget would be exceeded.
+ */
+function consumeRateLimit(env, request, cost) {
+  const now = Date.now();
+  pruneRateLimitWindows(now);
+
+  const buckets = getRateLimitRules(env, request).map((rule) => {
+    let bucket = rateLimitWindows.get(rule.key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + rule.windowMs };
+      rateLimitWindows.set(rule.key, bucket);
+    }
+    return { rule, bucket };
+  });
+
+  const exceeded = buckets.find(
+    ({ rule, bucket }) => bucket.count + cost > rule.limit,
+  );
+  if (exceeded) {
+    return {
+      scope: exceeded.rule.scope,
+      limit: exceeded.rule.limit,
+      retryAfterSeconds: Math.max(
+        1,
+        Math.ceil((exceeded.bucket.resetAt - now) / 1000),
+      ),
+    };
+  }
+
+  for (const { bucket } of buckets) bucket.count += cost;
+  return null;
+}
+
+function rateLimitedResponse(limited, corsHeaders) {
+  return jsonResponse(
+    429,
+    {
+      error: "rate_limited",
+      scope: limited.scope,
+      retryAfterSeconds: limited.retryAfterSeconds,
+    },
+    { ...corsHeaders, "Retry-After": String(limited.retryAfterSeconds) },
+  );
+}
+
+async function loadFestivalPoints(env, url, requestLog) {
+  const now = Date.now();
+  if (!festivalPointsCache || festivalPointsCache.expiresAt <= now) {
+    const promise = loadFestivalsData(env, url, requestLog).then((festivals) =>
+      festivals
+        .filter((f) => f?.latitude != null && f?.longitude != null)
+        .map((f) => ({ lat: Number(f.latitude), lng: Number(f.longitude) }))
+        .filter(
+          (point) => Number.isFinite(point.lat) && Number.isFinite(point.lng),
+        ),
+    );
+    festivalPointsCache = { promise, expiresAt: now + FESTIVAL_POINTS_TTL_MS };
+    // A failed load shouldn't pin the error until the TTL runs out.
+    promise.catch(() => {
+      if (festivalPointsCache?.promise === promise) festivalPointsCache = null;
+    });
+  }
+  return festivalPointsCache.promise;
+}
+
+/**
+ * With `WEATHER_MAX_FESTIVAL_DISTANCE_KM` set, only coordinates within that
+ * distance of a listed festival are served, so the proxy can't be used as a
+ * general-purpose forecast API.
+ */
+async function areCoordinatesNearFestivals(env, url, points, requestLog) {
+  const maxDistanceKm = getEnvCount(env, "WEATHER_MAX_FESTIVAL_DISTANCE_KM", 0);
+  if (maxDistanceKm === 0) return true;
+  let festivalPoints;
+  try {
+    festivalPoints = await loadFestivalPoints(env, url, requestLog);
+  } catch (error) {
+    // Fail open: a data outage shouldn't take weather down with it.
+    logEvent("festival_points_unavailable", {
+      requestId: requestLog.requestId,
+      message: String(error?.message ?? "Unknown error."),
+    });
+    return true;
+  }
+  return points.every((point) =>
+    festivalPoints.some(
+      (festival) => getDistanceKm(point, festival) <= maxDistanceKm,
+    ),
+  );
+}
+
+function getWeatherRouteName(url) {
+  const path = url.pathname.replace(/\/+$/, "");
+  if (path.endsWith("/batch")) return "batch";
+  if (path.endsWith("/climate")) return "climate";
+  if (path.endsWith("/alerts")) return "alerts";
+  return "forecast";
+}
+
+/**
+ * Budget and proximity checks shared by the weather routes. A batch costs one
+ * request per point. Returns the rejection response, or null to proceed.
+ */
+async function guardWeatherRequest(
+  request,
+  env,
+  url,
+  points,
+  corsHeaders,
+  requestLog,
+) {
+  const { requestId, route, origin } = requestLog;
+  const limited = consumeRateLimit(env, request, points.length);
+  if (limited) {
+    logEvent("weather_rate_limited", {
+      requestId,
+      route,
+      origin,
+      scope: limited.scope,
+      limit: limited.limit,
+      cost: points.length,
+    });
+    return rateLimitedResponse(limited, corsHeaders);
+  }
+
+  if (!(await areCoordinatesNearFestivals(env, url, points, requestLog))) {
+    logEvent("weather_outside_festival_area", { requestId, route, origin });
+    return jsonResponse(403, { error: "coordinates_not_allowed" }, corsHeaders);
+  }
+  return null;
+}
+
+function buildWeatherKitUrl(lat, lng, dataSets = FORECAST_DATA_SETS) {
   const path = `${encodeURIComponent(lat.toFixed(6))}/${encodeURIComponent(lng.toFixed(6))}`;
   const url = new URL(`${WEATHERKIT_BASE_URL}/${path}`);
-  url.searchParams.set("dataSets", "currentWeather,forecastDaily");
+  url.searchParams.set("dataSets", dataSets.join(","));
+  if (dataSets.includes("forecastHourly")) {
+    url.searchParams.set(
+      "hourlyEnd",
+      new Date(Date.now() + HOURLY_FORECAST_HOURS * 3600000)
+        .toISOString()
+        .replace(/\.\d{3}Z$/, "Z"),
+    );
+  }
   url.searchParams.set("timezone", "auto");
   url.searchParams.set("countryCode", "US");
   return url.toString();
 }
 
-export default {
-  async fetch(request, env) {
-    const corsHeaders = buildCorsHeaders(request, env);
-    if (corsHeaders === null) {
-      return jsonResponse(403, { error: "forbidden_origin" });
-    }
+function trimHourlyForecast(forecastHourly) {
+  // Ten days of full hourly records is large; keep only what the client renders.
+  if (!Array.isArray(forecastHourly?.hours)) return forecastHourly ?? null;
+  return {
+    ...forecastHourly,
+    hours: forecastHourly.hours.map((hour) => {
+      const trimmed = {};
+      for (const field of HOURLY_FORECAST_FIELDS) {
+        if (hour?.[field] !== undefined) trimmed[field] = hour[field];
+      }
+      return trimmed;
+    }),
+  };
+}
 
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers: corsHeaders });
+function trimWeatherAlerts(weatherAlerts) {
+  const alerts = Array.isArray(weatherAlerts?.alerts)
+    ? weatherAlerts.alerts
+    : [];
+  return {
+    detailsUrl: weatherAlerts?.detailsUrl ?? null,
+    alerts: alerts.map((alert) => {
+      const trimmed = {};
+      for (const field of WEATHER_ALERT_FIELDS) {
+        if (alert?.[field] !== undefined) trimmed[field] = alert[field];
+      }
+      return trimmed;
+    }),
+  };
+}
+
+function parseIsoDate(rawValue) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(rawValue ?? "").trim());
+  if (!match) return null;
+  const date = new Date(
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])),
+  );
+  if (date.toISOString().slice(0, 10) !== match[0]) return null;
+  return date;
+}
+
+function getClimateMonthDayKeys(startDate, endDate) {
+  // Climatology matches calendar days, so ranges are reduced to MM-DD keys.
+  const keys = new Set();
+  const cursor = new Date(startDate.getTime());
+  for (
+    let count = 0;
+    cursor <= endDate && count < CLIMATE_MAX_RANGE_DAYS;
+    count += 1
+  ) {
+    keys.add(cursor.toISOString().slice(5, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return keys;
+}
+
+function buildClimateArchiveUrl(lat, lng, firstYear, lastYear) {
+  const url = new URL(CLIMATE_ARCHIVE_URL);
+  url.searchParams.set("latitude", lat.toFixed(4));
+  url.searchParams.set("longitude", lng.toFixed(4));
+  url.searchParams.set("start_date", `${firstYear}-01-01`);
+  url.searchParams.set("end_date", `${lastYear}-12-31`);
+  url.searchParams.set(
+    "daily",
+    "temperature_2m_max,temperature_2m_min,precipitation_sum",
+  );
+  url.searchParams.set("timezone", "auto");
+  return url.toString();
+}
+
+function averageOf(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function summarizeClimatePayload(payload, monthDayKeys) {
+  const daily = payload?.daily ?? {};
+  const dates = Array.isArray(daily.time) ? daily.time : [];
+  const highs = [];
+  const lows = [];
+  const precipitation = [];
+  for (let i = 0; i < dates.length; i += 1) {
+    if (!monthDayKeys.has(String(dates[i]).slice(5, 10))) continue;
+    const high = daily.temperature_2m_max?.[i];
+    const low = daily.temperature_2m_min?.[i];
+    const precip = daily.precipitation_sum?.[i];
+    if (typeof high === "number" && Number.isFinite(high)) highs.push(high);
+    if (typeof low === "number" && Number.isFinite(low)) lows.push(low);
+    if (typeof precip === "number" && Number.isFinite(precip)) {
+      precipitation.push(precip);
     }
+  }
+
+  const wetDays = precipitation.filter((value) => value >= CLIMATE_WET_DAY_MM);
+  return {
+    metadata: { units: "m", sampleDays: highs.length },
+    temperatureMax: averageOf(highs),
+    temperatureMin: averageOf(lows),
+    precipitationChance:
+      precipitation.length > 0 ? wetDays.length / precipitation.length : null,
+    precipitationAmount: averageOf(precipitation),
+  };
+}
+
+function getClimateCacheKey(lat, lng, monthDayKeys, firstYear, lastYear) {
+  // Keys are consecutive days, so the ends plus the count pin the window
+  // (the count tells ranges across Feb 29 apart).
+  const days = Array.from(monthDayKeys);
+  const params = new URLSearchParams({
+    lat: String(lat),
+    lng: String(lng),
+    from: days[0],
+    to: days[days.length - 1],
+    days: String(days.length),
+    years: `${firstYear}-${lastYear}`,
+  });
+  return `${WEATHER_CACHE_ORIGIN}/climate?${params}`;
+}
+
+async function handleClimateRequest(
+  ctx,
+  url,
+  lat,
+  lng,
+  corsHeaders,
+  requestLog,
+) {
+  const startDate = parseIsoDate(url.searchParams.get("start"));
+  const endDate = parseIsoDate(
+    url.searchParams.get("end") ?? url.searchParams.get("start"),
+  );
+  if (!startDate || !endDate || endDate < startDate) {
+    return jsonResponse(400, { error: "invalid_date_range" }, corsHeaders);
+  }
+
+  const lastYear = new Date().getUTCFullYear() - 1;
+  const firstYear = lastYear - CLIMATE_SAMPLE_YEARS + 1;
+  const monthDayKeys = getClimateMonthDayKeys(startDate, endDate);
+  // Ten years of archive per miss is heavy, so nearby fairs asking about the
+  // same dates share one edge entry per grid cell.
+  const gridLat = snapToWeatherGrid(lat);
+  const gridLng = snapToWeatherGrid(lng);
+  const cacheKey = getClimateCacheKey(
+    gridLat,
+    gridLng,
+    monthDayKeys,
+    firstYear,
+    lastYear,
+  );
+  const cached = await readWeatherCache(cacheKey).catch(() => null);
+  if (cached && cached.freshUntilMs > Date.now()) {
+    requestLog.cacheStatuses.push("HIT");
+    return jsonResponse(
+      200,
+      cached.payload,
+      { ...corsHeaders, [WEATHER_CACHE_STATUS_HEADER]: "HIT" },
+      "public, max-age=86400",
+    );
+  }
+
+  const climateResponse = await timeUpstream(
+    requestLog,
+    fetch(buildClimateArchiveUrl(gridLat, gridLng, firstYear, lastYear)),
+  );
+  if (!climateResponse.ok) {
+    return jsonResponse(
+      502,
+      { error: "climate_error", status: climateResponse.status },
+      corsHeaders,
+    );
+  }
+
+  const climatePayload = await climateResponse.json();
+  const summary = summarizeClimatePayload(climatePayload, monthDayKeys);
+  const payload = {
+    climate: {
+      ...summary,
+      metadata: {
+        ...summary.metadata,
+        firstYear,
+        lastYear,
+        source: "open-meteo",
+      },
+    },
+  };
+  const write = writeWeatherCache(
+    cacheKey,
+    payload,
+    CLIMATE_CACHE_TTL_SECONDS,
+  ).catch(() => {});
+  if (ctx?.waitUntil) ctx.waitUntil(write);
+  else await write;
+  requestLog.cacheStatuses.push("MISS");
+  return jsonResponse(
+    200,
+    payload,
+    { ...corsHeaders, [WEATHER_CACHE_STATUS_HEADER]: "MISS" },
+    "public, max-age=86400",
+  );
+}
+
+function getFestivalsDataUrl(env, url) {
+  // Defaults to the site's own data file on the same host as the API route.
+  return (
+    getEnvString(env, "FESTIVALS_DATA_URL") ||
+    `${url.origin}/data/festivals.json`
+  );
+}
+
+async function loadFestivalsData(env, url, requestLog = null) {
+  const response = await timeUpstream(
+    requestLog,
+    fetch(getFestivalsDataUrl(env, url), { cf: { cacheTtl: 300 } }),
+  );
+  if (!response.ok) {
+    throw new Error(`Festival data request failed (${response.status}).`);
+  }
+  const data = await response.json();
+  return Array.isArray(data) ? data : [];
+}
+
+function parseListParam(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseStateParam(url) {
+  return new Set(
+    parseListParam(url.searchParams.get("state")).map((state) =>
+      state.toLowerCase(),
+    ),
+  );
+}
+
+// States match by abbreviation ("TX") or full name ("Texas").
+function matchesStates(f, states) {
+  if (states.size === 0) return true;
+  return (
+    states.has(String(f?.state ?? "").toLowerCase()) ||
+    states.has(String(f?.stateName ?? "").toLowerCase())
+  );
+}
+
+function filterCalendarFestivals(festivals, url) {
+  const ids = new Set(parseListParam(url.searchParams.get("ids")));
+  const states = parseStateParam(url);
+  return festivals.filter((f) => {
+    if (ids.size > 0 && !ids.has(String(f?.id))) return false;
+    return matchesStates(f, states);
+  });
+}
+
+function getCalendarName(url, festivals) {
+  if (festivals.length === 1) return festivals[0]?.name || "Renfo";
+  const state = url.searchParams.get("state");
+  return state ? `Renfo Festivals (${state.toUpperCase()})` : "Renfo Festivals";
+}
+
+async function handleCalendarRequest(env, url, corsHeaders, requestLog) {
+  // Derived records resolve `editions` to the running or next announced one.
+  const festivals = filterCalendarFestivals(
+    (await loadFestivalsData(env, url, requestLog)).map((raw) =>
+      withDerivedFestivalDates(raw),
+    ),
+    url,
+  );
+  if (festivals.length === 0) {
+    return jsonResponse(404, { error: "no_matching_festivals" }, corsHeaders);
+  }
+
+  const body = buildFestivalCalendar(festivals, {
+    name: getCalendarName(url, festivals),
+    refreshHours: CALENDAR_REFRESH_HOURS,
+  });
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "content-type": "text/calendar; charset=utf-8",
+      "content-disposition": 'inline; filename="renfo.ics"',
+      "cache-control": "public, max-age=3600",
+      ...corsHeaders,
+    },
+  });
+}
+
+function parseDateKeyParam(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (!DATE_KEY_PATTERN.test(text)) return undefined;
+  // Round-trip rejects rollover dates such as 2026-02-30.
+  const date = parseDate(text);
+  return date && toLocalDateKey(date) === text ? text : undefined;
+}
+
+// `bbox=minLng,minLat,maxLng,maxLat` (GeoJSON order). minLng > maxLng wraps
+// across the antimeridian.
+function parseBoundingBox(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const parts = text.split(",").map((part) => part.trim());
+  if (parts.length !== 4) return undefined;
+  const minLng = parseCoordinate(parts[0], -180, 180);
+  const minLat = parseCoordinate(parts[1], -90, 90);
+  const maxLng = parseCoordinate(parts[2], -180, 180);
+  const maxLat = parseCoordinate(parts[3], -90, 90);
+  if ([minLng, minLat, maxLng, maxLat].includes(null) || minLat > maxLat) {
+    return undefined;
+  }
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+function isInBoundingBox(f, bbox) {
+  const lat = Number(f?.latitude);
+  const lng = Number(f?.longitude);
+  if (f?.latitude == null || f?.longitude == null) return false;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  if (lat < bbox.minLat || lat > bbox.maxLat) return false;
+  return bbox.minLng <= bbox.maxLng
+    ? lng >= bbox.minLng && lng <= bbox.maxLng
+    : lng >= bbox.minLng || lng <= bbox.maxLng;
+}
+
+/**
+ * Query filters for `/api/festivals`. Returns `{ error }` for malformed values
+ * so callers can answer 400 instead of silently ignoring them.
+ */
+function parseFestivalQuery(url) {
+  const params = url.searchParams;
+  const from = parseDateKeyParam(params.get("from"));
+  const to = parseDateKeyParam(params.get("to"));
+  const today = parseDateKeyParam(params.get("today"));
+  if (from === undefined || to === undefined || today === undefined) {
+    return { error: "invalid_date" };
+  }
+  if (from && to && from > to) return { error: "invalid_date" };
+
+  const bbox = parseBoundingBox(params.get("bbox"));
+  if (bbox === undefined) return { error: "invalid_bbox" };
+
+  return {
+    states: parseStateParam(url),
+    // `dates-tba` and `Dates TBA` both match the "Dates TBA" status.
+    statuses: new Set(
+      parseListParam(params.get("status")).map((status) =>
+        status.toLowerCase().replace(/[\s_-]+/g, " "),
+      ),
+    ),
+    from,
+    to,
+    bbox,
+    // Workers run in UTC; `today` lets clients derive status for their own
+    // calendar day, matching what the browser computes locally.
+    now: today ? parseDate(today) : new Date(),
+  };
+}
+
+function matchesFestivalQuery(f, query) {
+  if (!matchesStates(f, query.states)) return false;
+  if (query.statuses.size > 0) {
+    const status = String(f.status ?? "unknown").toLowerCase();
+    if (!query.statuses.has(status)) return false;
+  }
+  if (
+    (query.from || query.to) &&
+    !isFestivalOpenBetween(f, query.from, query.to)
+  ) {
+    return false;
+  }
+  if (query.bbox && !isInBoundingBox(f, query.bbox)) return false;
+  return true;
+}
 
-    if (request.method !== "GET") {
-      return jsonResponse(405, { error: "method_not_allowed" }, corsHeaders);
+async function buildEtag(body) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(body));
+  const hex = Array.from(new Uint8Array(digest).slice(0, 16), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+  return `"${hex}"`;
+}
+
+function matchesIfNoneMatch(request, etag) {
+  const header = request.headers.get("If-None-Match");
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+async function etagJsonResponse(request, payload, corsHeaders) {
+  const body = JSON.stringify(payload);
+  const etag = await buildEtag(body);
+  const headers = {
+    etag,
+    "cache-control": FESTIVALS_CACHE_CONTROL,
+    ...corsHeaders,
+  };
+  if (matchesIfNoneMatch(request, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(body, {
+    status: 200,
+    headers: { "content-type": "application/json; charset=utf-8", ...headers },
+  });
+}
+
+async function handleFestivalsRequest(
+  request,
+  env,
+  url,
+  festivalId,
+  corsHeaders,
+  requestLog,
+) {
+  const query = parseFestivalQuery(url);
+  if (query.error) {
+    return jsonResponse(400, { error: query.error }, corsHeaders);
+  }
+
+  const festivals = (await loadFestivalsData(env, url, requestLog)).map((raw) =>
+    withDerivedFestivalDates(raw, query.now),
+  );
+
+  if (festivalId != null) {
+    const festival = festivals.find((f) => String(f?.id) === festivalId);
+    if (!festival) {
+      return jsonResponse(404, { error: "festival_not_found" }, corsHeaders);
     }
+    return etagJsonResponse(request, { festival }, corsHeaders);
+  }
+
+  const matches = festivals.filter((f) => matchesFestivalQuery(f, query));
+  return etagJsonResponse(
+    request,
+    { count: matches.length, festivals: matches },
+    corsHeaders,
+  );
+}
 
-    const url = new URL(request.url);
+/**
+ * WEATHERKIT_MOCK setting (lowercased), or null when requests go to Apple.
+ * Any value other than empty, `0` or `false` turns mock mode on; `1` and
+ * `true` mean `mixed`.
+ */
+function getWeatherKitMockSetting(env) {
+  const value = getEnvString(env, "WEATHERKIT_MOCK").toLowerCase();
+  if (!value || value === "0" || value === "false") return null;
+  return value === "1" || value === "true" ? "mixed" : value;
+}
+
+async function fetchWeatherKit(env, lat, lng, dataSets) {
+  const mockSetting = getWeatherKitMockSetting(env);
+  if (mockSetting) {
+    return buildMockWeatherKitResponse(
+      resolveMockScenario(mockSetting, lat, lng),
+      lat,
+      lng,
+      dataSets,
+    );
+  }
+
+  const token = await getWeatherKitToken(env);
+  return fetch(buildWeatherKitUrl(lat, lng, dataSets), {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+function snapToWeatherGrid(value) {
+  const snapped =
+    Math.round(value / WEATHER_GRID_DEGREES) * WEATHER_GRID_DEGREES;
+  return Number(snapped.toFixed(4));
+}
 
-    const lat = parseCoordinate(url.searchParams.get("lat"), -90, 90);
-    const lng = parseCoordinate(url.searchParams.get("lng"), -180, 180);
-    if (lat == null || lng == null) {
-      return jsonResponse(400, { error: "invalid_coordinates" }, corsHeaders);
+function getWeatherCacheKey(env, kind, lat, lng) {
+  const key = `${WEATHER_CACHE_ORIGIN}/${kind}?lat=${lat}&lng=${lng}`;
+  // Mock payloads are keyed by setting so switching it never serves the
+  // previous fixture.
+  const mockSetting = getWeatherKitMockSetting(env);
+  return mockSetting ? `${key}&mock=${encodeURIComponent(mockSetting)}` : key;
+}
+
+function getEdgeCache() {
+  return globalThis.caches?.default ?? null;
+}
+
+/**
+ * Seconds until the earliest `metadata.expireTime` across the returned data
+ * sets, clamped to sane bounds.
+ */
+function getWeatherTtlSeconds(payload, dataSets, maxTtlSeconds) {
+  const expireTimes = dataSets
+    .map((dataSet) => Date.parse(payload?.[dataSet]?.metadata?.expireTime))
+    .filter(Number.isFinite);
+  if (expireTimes.length === 0) {
+    return Math.min(WEATHER_DEFAULT_TTL_SECONDS, maxTtlSeconds);
+  }
+  const seconds = Math.floor((Math.min(...expireTimes) - Date.now()) / 1000);
+  return Math.min(Math.max(seconds, WEATHER_MIN_TTL_SECONDS), maxTtlSeconds);
+}
+
+async function readWeatherCache(cacheKey) {
+  const cache = getEdgeCache();
+  const cached = cache ? await cache.match(cacheKey) : null;
+  if (!cached) return null;
+  return {
+    payload: await cached.json(),
+    freshUntilMs: Number(cached.headers.get(WEATHER_FRESH_UNTIL_HEADER)) || 0,
+  };
+}
+
+async function writeWeatherCache(cacheKey, payload, ttlSeconds) {
+  const cache = getEdgeCache();
+  if (!cache) return;
+  // The edge keeps the entry past its TTL so it can still answer on errors;
+  // freshness is tracked separately in a header.
+  await cache.put(
+    cacheKey,
+    new Response(JSON.stringify(payload), {
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": `public, max-age=${ttlSeconds + WEATHER_STALE_IF_ERROR_SECONDS}`,
+        [WEATHER_FRESH_UNTIL_HEADER]: String(Date.now() + ttlSeconds * 1000),
+      },
+    }),
+  );
+}
+
+async function fetchWeatherKitPayload(env, ctx, lookup) {
+  const { cacheKey, lat, lng, dataSets, maxTtlSeconds, buildPayload } = lookup;
+  const response = await fetchWeatherKit(env, lat, lng, dataSets);
+  logEvent("weatherkit_call", {
+    dataSets: dataSets.join(","),
+    status: response.status,
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `WeatherKit request failed with status ${response.status}.`,
+    );
+    error.code = "weatherkit_error";
+    error.status = response.status;
+    error.retryAfter = response.headers.get("retry-after");
+    throw error;
+  }
+
+  const raw = await response.json();
+  const ttlSeconds = getWeatherTtlSeconds(raw, dataSets, maxTtlSeconds);
+  const payload = buildPayload(raw);
+  const write = writeWeatherCache(cacheKey, payload, ttlSeconds).catch(
+    () => {},
+  );
+  if (ctx?.waitUntil) ctx.waitUntil(write);
+  else await write;
+  return { payload, ttlSeconds };
+}
+
+/**
+ * Serve a WeatherKit-derived payload from the edge cache, refreshing it once
+ * stale. Concurrent misses share one upstream call, and an expired entry is
+ * served (marked STALE) when WeatherKit errors or rate-limits.
+ */
+async function getCachedWeatherKitPayload(env, ctx, lookup, requestLog) {
+  const cached = await readWeatherCache(lookup.cacheKey).catch(() => null);
+  const now = Date.now();
+  if (cached && cached.freshUntilMs > now) {
+    requestLog.cacheStatuses.push("HIT");
+    return {
+      payload: cached.payload,
+      cacheStatus: "HIT",
+      maxAgeSeconds: Math.ceil((cached.freshUntilMs - now) / 1000),
+    };
+  }
+
+  let pending = pendingWeatherFetches.get(lookup.cacheKey);
+  if (!pending) {
+    pending = fetchWeatherKitPayload(env, ctx, lookup).finally(() => {
+      pendingWeatherFetches.delete(lookup.cacheKey);
+    });
+    pendingWeatherFetches.set(lookup.cacheKey, pending);
+  }
+
+  try {
+    const { payload, ttlSeconds } = await timeUpstream(requestLog, pending);
+    requestLog.cacheStatuses.push("MISS");
+    return { payload, cacheStatus: "MISS", maxAgeSeconds: ttlSeconds };
+  } catch (error) {
+    if (!cached) throw error;
+    requestLog.cacheStatuses.push("STALE");
+    return {
+      payload: cached.payload,
+      cacheStatus: "STALE",
+      maxAgeSeconds: WEATHER_STALE_MAX_AGE_SECONDS,
+    };
+  }
+}
+
+/**
+ * Pass a WeatherKit failure on with its status, keeping `Retry-After` so
+ * rate-limited clients know when to come back.
+ */
+function weatherKitErrorResponse(error, corsHeaders, requestLog) {
+  requestLog.error = error.message;
+  return jsonResponse(
+    error.status,
+    { error: "weatherkit_error", status: error.status },
+    error.retryAfter
+      ? { ...corsHeaders, "Retry-After": error.retryAfter }
+      : corsHeaders,
+  );
+}
+
+async function weatherKitJsonResponse(
+  env,
+  ctx,
+  lookup,
+  corsHeaders,
+  requestLog,
+) {
+  let result;
+  try {
+    result = await getCachedWeatherKitPayload(env, ctx, lookup, requestLog);
+  } catch (error) {
+    if (error?.code !== "weatherkit_error") throw error;
+    return weatherKitErrorResponse(error, corsHeaders, requestLog);
+  }
+
+  return jsonResponse(
+    200,
+    result.payload,
+    { ...corsHeaders, [WEATHER_CACHE_STATUS_HEADER]: result.cacheStatus },
+    `public, max-age=${result.maxAgeSeconds}, stale-if-error=${WEATHER_STALE_IF_ERROR_SECONDS}`,
+  );
+}
+
+async function handleAlertsRequest(
+  env,
+  ctx,
+  lat,
+  lng,
+  corsHeaders,
+  requestLog,
+) {
+  const gridLat = snapToWeatherGrid(lat);
+  const gridLng = snapToWeatherGrid(lng);
+  return weatherKitJsonResponse(
+    env,
+    ctx,
+    {
+      cacheKey: getWeatherCacheKey(env, "alerts", gridLat, gridLng),
+      lat: gridLat,
+      lng: gridLng,
+      dataSets: ALERT_DATA_SETS,
+      maxTtlSeconds: WEATHER_ALERTS_TTL_SECONDS,
+      buildPayload: (raw) => ({
+        weatherAlerts: trimWeatherAlerts(raw?.weatherAlerts),
+      }),
+    },
+    corsHeaders,
+    requestLog,
+  );
+}
+
+function getForecastLookup(env, lat, lng) {
+  const gridLat = snapToWeatherGrid(lat);
+  const gridLng = snapToWeatherGrid(lng);
+  return {
+    cacheKey: getWeatherCacheKey(env, "forecast", gridLat, gridLng),
+    lat: gridLat,
+    lng: gridLng,
+    dataSets: FORECAST_DATA_SETS,
+    maxTtlSeconds: WEATHER_MAX_TTL_SECONDS,
+    buildPayload: (raw) => ({
+      currentWeather: raw?.currentWeather ?? null,
+      forecastDaily: raw?.forecastDaily ?? null,
+      forecastHourly: trimHourlyForecast(raw?.forecastHourly),
+    }),
+  };
+}
+
+async function handleWeatherRequest(
+  env,
+  ctx,
+  lat,
+  lng,
+  corsHeaders,
+  requestLog,
+) {
+  return weatherKitJsonResponse(
+    env,
+    ctx,
+    getForecastLookup(env, lat, lng),
+    corsHeaders,
+    requestLog,
+  );
+}
+
+/**
+ * `points=lat,lng;lat,lng`; null when empty, malformed, or over the limit.
+ */
+function parseWeatherPoints(value) {
+  const entries = String(value ?? "")
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0 || entries.length > WEATHER_BATCH_MAX_POINTS) {
+    return null;
+  }
+
+  const points = [];
+  for (const entry of entries) {
+    const match = WEATHER_POINT_PATTERN.exec(entry);
+    const lat = match ? parseCoordinate(match[1], -90, 90) : null;
+    const lng = match ? parseCoordinate(match[2], -180, 180) : null;
+    if (lat == null || lng == null) return null;
+    points.push({ lat, lng });
+  }
+  return points;
+}
+
+/** Just what a list row needs: condition and temperatures per day. */
+function summarizeForecastDaily(forecastDaily) {
+  const days = Array.isArray(forecastDaily?.days) ? forecastDaily.days : [];
+  return {
+    metadata: { units: forecastDaily?.metadata?.units ?? null },
+    days: days.map((day) => ({
+      forecastStart: day?.forecastStart ?? null,
+      conditionCode: day?.conditionCode ?? null,
+      temperatureMax: day?.temperatureMax ?? null,
+      temperatureMin: day?.temperatureMin ?? null,
+      precipitationChance: day?.precipitationChance ?? null,
+    })),
+  };
+}
+
+/**
+ * Daily summaries for many coordinates, in request order. Each point goes
+ * through the same edge cache as `/api/weather`, so rows and the detail view
+ * share entries. Failed points are reported inline.
+ */
+async function handleWeatherBatchRequest(
+  env,
+  ctx,
+  points,
+  corsHeaders,
+  requestLog,
+) {
+  const results = await Promise.all(
+    points.map((point) =>
+      getCachedWeatherKitPayload(
+        env,
+        ctx,
+        getForecastLookup(env, point.lat, point.lng),
+        requestLog,
+      ).catch((error) => {
+        if (error?.code !== "weatherkit_error") throw error;
+        return { error };
+      }),
+    ),
+  );
+
+  const succeeded = results.filter((result) => !result.error);
+  if (succeeded.length === 0) {
+    return weatherKitErrorResponse(results[0].error, corsHeaders, requestLog);
+  }
+
+  const maxAgeSeconds = Math.min(
+    ...succeeded.map((result) => result.maxAgeSeconds),
+  );
+  // Partial failures aren't cached so the next scroll retries them.
+  const cacheControl =
+    succeeded.length === results.length
+      ? `public, max-age=${maxAgeSeconds}, stale-if-error=${WEATHER_STALE_IF_ERROR_SECONDS}`
+      : "no-store";
+  return jsonResponse(
+    200,
+    {
+      locations: results.map((result) =>
+        result.error
+          ? { error: "weatherkit_error", status: result.error.status }
+          : {
+              forecastDaily: summarizeForecastDaily(
+                result.payload?.forecastDaily,
+              ),
+            },
+      ),
+    },
+    corsHeaders,
+    cacheControl,
+  );
+}
+
+/**
+ * Readiness for monitors: whether WeatherKit config is complete and a token
+ * can be signed. Reports env var names and counts only, never their values.
+ */
+async function handleHealthRequest(env, corsHeaders) {
+  const missing = WEATHERKIT_REQUIRED_VARS.filter(
+    (key) => !getEnvString(env, key),
+  );
+  const mockSetting = getWeatherKitMockSetting(env);
+  const mockOk = mockSetting == null || isMockScenario(mockSetting);
+  let tokenSigning = { ok: missing.length === 0 };
+  if (mockSetting) {
+    // Mock mode never signs, so credentials are optional.
+    tokenSigning = { ok: true, skipped: "mock" };
+  } else if (tokenSigning.ok) {
+    try {
+      await getWeatherKitToken(env);
+    } catch (_) {
+      // Key import or signing failed; the key itself stays out of the reply.
+      tokenSigning = { ok: false, error: "signing_failed" };
     }
+  } else {
+    tokenSigning.error = "missing_config";
+  }
+
+  const allowedOriginCount = getAllowedOrigins(env).length;
+  const maxFestivalDistanceKm = getEnvCount(
+    env,
+    "WEATHER_MAX_FESTIVAL_DISTANCE_KM",
+    0,
+  );
+  const checks = {
+    weatherkitConfig: {
+      ok: mockSetting != null ? mockOk : missing.length === 0,
+      missing,
+      ...(mockOk ? {} : { error: "invalid_mock_scenario" }),
+    },
+    tokenSigning,
+    allowedOrigins: { ok: allowedOriginCount > 0, count: allowedOriginCount },
+  };
+  const ok = Object.values(checks).every((check) => check.ok);
+  return jsonResponse(
+    ok ? 200 : 503,
+    {
+      status: ok ? "ok" : "degraded",
+      checks,
+      config: {
+        weatherkitMock: mockSetting,
+        tokenTtlSeconds: getTokenTtlSeconds(env),
+        rateLimits: getRateLimitConfig(env),
+        maxFestivalDistanceKm: maxFestivalDistanceKm || null,
+        festivalsDataUrl: getEnvString(env, "FESTIVALS_DATA_URL")
+          ? "custom"
+          : "default",
+      },
+    },
+    corsHeaders,
+  );
+}
+
+/**
+ * Dispatch by path. Unexpected failures are turned into JSON errors here so
+ * the caller can always log and tag the response.
+ */
+async function routeRequest(request, env, ctx, requestLog) {
+  const corsHeaders = buildCorsHeaders(request, env);
+  if (corsHeaders === null) {
+    return jsonResponse(403, { error: "forbidden_origin" });
+  }
 
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (request.method !== "GET") {
+    return jsonResponse(405, { error: "method_not_allowed" }, corsHeaders);
+  }
+
+  const url = new URL(request.url);
+
+  if (requestLog.route === "health") {
+    return handleHealthRequest(env, corsHeaders);
+  }
+
+  // Calendar feeds are keyed by festival, not coordinates.
+  if (/\/api\/calendar(\.ics)?\/?$/.test(url.pathname)) {
     try {
-      const token = await getWeatherKitToken(env);
-      const weatherResponse = await fetch(buildWeatherKitUrl(lat, lng), {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-
-      if (!weatherResponse.ok) {
-        return jsonResponse(
-          weatherResponse.status,
-          { error: "weatherkit_error", status: weatherResponse.status },
-          corsHeaders,
-        );
+      return await handleCalendarRequest(env, url, corsHeaders, requestLog);
+    } catch (error) {
+      return errorResponse(
+        502,
+        "calendar_error",
+        error,
+        corsHeaders,
+        requestLog,
+      );
+    }
+  }
+
+  // `/api/festivals` lists, `/api/festivals/:id` returns one record.
+  const festivalsMatch = /\/api\/festivals(?:\/([^/]+))?\/?$/.exec(
+    url.pathname,
+  );
+  if (festivalsMatch) {
+    // A malformed escape is the caller's mistake, not an upstream failure.
+    let festivalId = null;
+    if (festivalsMatch[1] != null) {
+      try {
+        festivalId = decodeURIComponent(festivalsMatch[1]);
+      } catch (_) {
+        return jsonResponse(400, { error: "invalid_id" }, corsHeaders);
       }
+    }
+    try {
+      return await handleFestivalsRequest(
+        request,
+        env,
+        url,
+        festivalId,
+        corsHeaders,
+        requestLog,
+      );
+    } catch (error) {
+      return errorResponse(
+        502,
+        "festivals_error",
+        error,
+        corsHeaders,
+        requestLog,
+      );
+    }
+  }
+
+  // A mistyped WEATHERKIT_MOCK fails loudly instead of serving `mixed`.
+  const mockSetting = getWeatherKitMockSetting(env);
+  if (mockSetting && !isMockScenario(mockSetting)) {
+    return errorResponse(
+      500,
+      "invalid_mock_scenario",
+      new Error(
+        `WEATHERKIT_MOCK "${mockSetting}" is not one of ${MOCK_SCENARIOS.join(", ")}.`,
+      ),
+      corsHeaders,
+      requestLog,
+    );
+  }
 
-      const weatherPayload = await weatherResponse.json();
+  // Batch lookups carry their coordinates in `points` instead of lat/lng.
+  if (/\/api\/weather\/batch\/?$/.test(url.pathname)) {
+    const points = parseWeatherPoints(url.searchParams.get("points"));
+    if (!points) {
       return jsonResponse(
-        200,
-        {
-          currentWeather: weatherPayload?.currentWeather ?? null,
-          forecastDaily: weatherPayload?.forecastDaily ?? null,
-        },
+        400,
+        { error: "invalid_points", maxPoints: WEATHER_BATCH_MAX_POINTS },
         corsHeaders,
-        "public, max-age=600",
+      );
+    }
+    try {
+      const rejected = await guardWeatherRequest(
+        request,
+        env,
+        url,
+        points,
+        corsHeaders,
+        requestLog,
+      );
+      if (rejected) return rejected;
+      return await handleWeatherBatchRequest(
+        env,
+        ctx,
+        points,
+        corsHeaders,
+        requestLog,
       );
     } catch (error) {
-      return jsonResponse(
-        500,
-        {
-          error: "proxy_error",
-          message: String(error?.message ?? "Unknown error."),
-        },
+      return errorResponse(500, "proxy_error", error, corsHeaders, requestLog);
+    }
+  }
+
+  const lat = parseCoordinate(url.searchParams.get("lat"), -90, 90);
+  const lng = parseCoordinate(url.searchParams.get("lng"), -180, 180);
+  if (lat == null || lng == null) {
+    return jsonResponse(400, { error: "invalid_coordinates" }, corsHeaders);
+  }
+
+  try {
+    const rejected = await guardWeatherRequest(
+      request,
+      env,
+      url,
+      [{ lat, lng }],
+      corsHeaders,
+      requestLog,
+    );
+    if (rejected) return rejected;
+
+    // Sub-routes share the `/api/weather*` route pattern in wrangler.jsonc.
+    const path = url.pathname.replace(/\/+$/, "");
+    if (path.endsWith("/climate")) {
+      return await handleClimateRequest(
+        ctx,
+        url,
+        lat,
+        lng,
+        corsHeaders,
+        requestLog,
+      );
+    }
+    if (path.endsWith("/alerts")) {
+      return await handleAlertsRequest(
+        env,
+        ctx,
+        lat,
+        lng,
         corsHeaders,
+        requestLog,
       );
     }
+    return await handleWeatherRequest(
+      env,
+      ctx,
+      lat,
+      lng,
+      corsHeaders,
+      requestLog,
+    );
+  } catch (error) {
+    return errorResponse(500, "proxy_error", error, corsHeaders, requestLog);
+  }
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const requestLog = createRequestLog(request);
+    let response;
+    try {
+      response = await routeRequest(request, env, ctx, requestLog);
+    } catch (error) {
+      response = errorResponse(500, "internal_error", error, {}, requestLog);
+    }
+    logRequest(requestLog, response.status);
+    return withRequestId(response, requestLog.requestId);
   },
 };
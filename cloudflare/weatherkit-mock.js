@@ -0,0 +1,314 @@
+// Deterministic WeatherKit stand-in for local development, selected by the
+// WEATHERKIT_MOCK var. api-worker.js swaps it in for the upstream fetch, so
+// caching, rate limits and request logs behave as they do in production.
+// Values are fixed per scenario; only dates follow the current day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MOCK_EXPIRE_SECONDS = 600;
+const MOCK_RETRY_AFTER_SECONDS = 60;
+const MOCK_ATTRIBUTION_URL =
+  "https://developer.apple.com/weatherkit/data-source-attribution/";
+
+// One row per forecast day: condition, high/low (°C), precipitation chance
+// (0-1), precipitation type and amount (mm). Patterns repeat past their end.
+const MOCK_DAY_PATTERNS = {
+  clear: [
+    ["Clear", 26, 13, 0, "clear", 0],
+    ["MostlyClear", 27, 14, 0, "clear", 0],
+    ["PartlyCloudy", 25, 14, 0.1, "clear", 0],
+    ["Clear", 28, 15, 0, "clear", 0],
+    ["MostlyCloudy", 24, 13, 0.15, "clear", 0],
+  ],
+  rain: [
+    ["Rain", 18, 12, 0.85, "rain", 14.2],
+    ["Drizzle", 17, 11, 0.6, "rain", 2.4],
+    ["HeavyRain", 16, 12, 0.95, "rain", 31.8],
+    ["ScatteredShowers", 20, 12, 0.45, "rain", 4.1],
+    ["Cloudy", 19, 11, 0.2, "clear", 0],
+  ],
+  storms: [
+    ["Thunderstorms", 29, 21, 0.8, "rain", 22.6],
+    ["StrongStorms", 30, 22, 0.9, "rain", 41.3],
+    ["ScatteredThunderstorms", 31, 22, 0.55, "rain", 8.7],
+    ["IsolatedThunderstorms", 32, 23, 0.35, "rain", 3.2],
+    ["Breezy", 28, 19, 0.1, "clear", 0],
+  ],
+  snow: [
+    ["Snow", -2, -8, 0.8, "snow", 6.5],
+    ["Flurries", 0, -6, 0.4, "snow", 0.8],
+    ["HeavySnow", -4, -11, 0.95, "snow", 18.4],
+    ["Sleet", 1, -3, 0.7, "sleet", 5.2],
+    ["Blizzard", -6, -14, 0.9, "snow", 12.9],
+  ],
+};
+const MOCK_WEATHER_SCENARIOS = [...Object.keys(MOCK_DAY_PATTERNS), "missing"];
+const MOCK_ERROR_REASONS = {
+  401: "NOT_AUTHORIZED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+const MOCK_SCENARIOS = [
+  ...MOCK_WEATHER_SCENARIOS,
+  ...Object.keys(MOCK_ERROR_REASONS),
+  "mixed",
+];
+const MOCK_ALERTS = {
+  storms: {
+    description: "Severe Thunderstorm Warning",
+    severity: "severe",
+    hours: 6,
+  },
+  snow: { description: "Winter Storm Watch", severity: "moderate", hours: 36 },
+};
+
+/** @param {string} setting WEATHERKIT_MOCK value, lowercased. */
+function isMockScenario(setting) {
+  return MOCK_SCENARIOS.includes(setting);
+}
+
+/**
+ * Scenario for one location. `mixed` spreads the weather scenarios across
+ * grid cells so neighboring festivals show different fixtures.
+ * @param {string} setting WEATHERKIT_MOCK value, lowercased.
+ */
+function resolveMockScenario(setting, lat, lng) {
+  if (setting !== "mixed") {
+    if (isMockScenario(setting)) return setting;
+    throw new Error(
+      `Unknown WEATHERKIT_MOCK "${setting}"; use one of ${MOCK_SCENARIOS.join(", ")}.`,
+    );
+  }
+  const cell = Math.abs(Math.round(lat * 20) * 31 + Math.round(lng * 20));
+  return MOCK_WEATHER_SCENARIOS[cell % MOCK_WEATHER_SCENARIOS.length];
+}
+
+function toIsoSeconds(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/** Local midnights (as UTC ms) for the next `count` days, from longitude. */
+function getLocalDayStarts(lng, nowMs, count) {
+  const offsetMs = Math.round(lng / 15) * HOUR_MS;
+  const local = new Date(nowMs + offsetMs);
+  const todayStart =
+    Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) -
+    offsetMs;
+  return Array.from({ length: count }, (_, i) => todayStart + i * DAY_MS);
+}
+
+function buildMetadata(lat, lng, nowMs, units = "m") {
+  return {
+    attributionURL: MOCK_ATTRIBUTION_URL,
+    expireTime: toIsoSeconds(nowMs + MOCK_EXPIRE_SECONDS * 1000),
+    latitude: lat,
+    longitude: lng,
+    readTime: toIsoSeconds(nowMs),
+    reportedTime: toIsoSeconds(nowMs),
+    ...(units ? { units } : {}),
+    version: 1,
+  };
+}
+
+function getPatternDay(scenario, index) {
+  const pattern = MOCK_DAY_PATTERNS[scenario];
+  const [conditionCode, high, low, chance, type, amount] =
+    pattern[index % pattern.length];
+  return { conditionCode, high, low, chance, type, amount };
+}
+
+function buildDay(scenario, dayStart, index) {
+  const day = getPatternDay(scenario, index);
+  const half = {
+    conditionCode: day.conditionCode,
+    precipitationChance: day.chance,
+    precipitationType: day.type,
+    precipitationAmount: day.amount / 2,
+  };
+  return {
+    forecastStart: toIsoSeconds(dayStart),
+    forecastEnd: toIsoSeconds(dayStart + DAY_MS),
+    conditionCode: day.conditionCode,
+    temperatureMax: day.high,
+    temperatureMin: day.low,
+    precipitationChance: day.chance,
+    precipitationType: day.type,
+    precipitationAmount: day.amount,
+    snowfallAmount: day.type === "snow" ? day.amount * 10 : 0,
+    maxUvIndex: day.chance > 0.5 ? 2 : 7,
+    daytimeForecast: {
+      ...half,
+      forecastStart: toIsoSeconds(dayStart + 7 * HOUR_MS),
+      forecastEnd: toIsoSeconds(dayStart + 19 * HOUR_MS),
+    },
+    overnightForecast: {
+      ...half,
+      forecastStart: toIsoSeconds(dayStart + 19 * HOUR_MS),
+      forecastEnd: toIsoSeconds(dayStart + 31 * HOUR_MS),
+    },
+  };
+}
+
+function buildHours(scenario, dayStarts) {
+  const hours = [];
+  dayStarts.forEach((dayStart, index) => {
+    const day = getPatternDay(scenario, index);
+    for (let hour = 0; hour < 24; hour += 1) {
+      // Coldest near 5am, warmest near 3pm.
+      const warmth = (1 - Math.cos(((hour - 5) / 24) * 2 * Math.PI)) / 2;
+      const isWet = day.chance > 0.3 && hour >= 10 && hour <= 20;
+      hours.push({
+        forecastStart: toIsoSeconds(dayStart + hour * HOUR_MS),
+        conditionCode: day.conditionCode,
+        daylight: hour >= 7 && hour < 19,
+        temperature:
+          Math.round((day.low + (day.high - day.low) * warmth) * 10) / 10,
+        precipitationChance: isWet ? day.chance : day.chance / 4,
+        precipitationType: isWet ? day.type : "clear",
+        precipitationAmount: isWet
+          ? Math.round((day.amount / 11) * 10) / 10
+          : 0,
+        windSpeed: scenario === "storms" ? 38 : 12,
+        windGust: scenario === "storms" ? 72 : 20,
+        uvIndex: hour >= 9 && hour <= 16 && day.chance <= 0.5 ? 6 : 1,
+      });
+    }
+  });
+  return hours;
+}
+
+function buildAlerts(scenario, lat, lng, nowMs) {
+  const alert = MOCK_ALERTS[scenario];
+  return {
+    detailsUrl: null,
+    alerts: alert
+      ? [
+          {
+            id: `mock-${scenario}-${lat}-${lng}`,
+            areaName: "Mock County",
+            description: alert.description,
+            severity: alert.severity,
+            certainty: "likely",
+            urgency: "expected",
+            source: "National Weather Service (mock)",
+            detailsUrl: null,
+            effectiveTime: toIsoSeconds(nowMs),
+            eventEndTime: toIsoSeconds(nowMs + alert.hours * HOUR_MS),
+            expireTime: toIsoSeconds(nowMs + alert.hours * HOUR_MS),
+          },
+        ]
+      : [],
+  };
+}
+
+/**
+ * Optional fields dropped throughout: no units, no hourly data, days without
+ * temperatures or conditions, and a current reading with only a condition.
+ */
+function buildMissingFieldsPayload(lat, lng, nowMs, dayStarts) {
+  const metadata = buildMetadata(lat, lng, nowMs, null);
+  return {
+    currentWeather: { metadata, conditionCode: "Cloudy" },
+    forecastDaily: {
+      metadata,
+      days: dayStarts.map((dayStart, index) => {
+        const day = {
+          forecastStart: toIsoSeconds(dayStart),
+          forecastEnd: toIsoSeconds(dayStart + DAY_MS),
+        };
+        if (index % 3 !== 1) day.conditionCode = "PartlyCloudy";
+        if (index % 2 === 0) day.temperatureMax = 22;
+        if (index % 4 !== 3) day.temperatureMin = 11;
+        return day;
+      }),
+    },
+  };
+}
+
+function buildWeatherPayload(scenario, lat, lng, dataSets, nowMs) {
+  const dayStarts = getLocalDayStarts(lng, nowMs, 10);
+  if (scenario === "missing") {
+    const payload = buildMissingFieldsPayload(lat, lng, nowMs, dayStarts);
+    return Object.fromEntries(
+      Object.entries(payload).filter(([dataSet]) => dataSets.includes(dataSet)),
+    );
+  }
+
+  const metadata = buildMetadata(lat, lng, nowMs);
+  const today = getPatternDay(scenario, 0);
+  const payload = {};
+  if (dataSets.includes("currentWeather")) {
+    payload.currentWeather = {
+      metadata,
+      asOf: toIsoSeconds(nowMs),
+      conditionCode: today.conditionCode,
+      temperature: (today.high + today.low) / 2,
+      temperatureApparent: (today.high + today.low) / 2 - 1,
+      humidity: today.chance > 0.3 ? 0.88 : 0.45,
+      precipitationIntensity: today.chance > 0.5 ? 2.4 : 0,
+      windSpeed: scenario === "storms" ? 38 : 12,
+      windGust: scenario === "storms" ? 72 : 20,
+      uvIndex: today.chance > 0.5 ? 1 : 5,
+      daylight: true,
+    };
+  }
+  if (dataSets.includes("forecastDaily")) {
+    payload.forecastDaily = {
+      metadata,
+      days: dayStarts.map((dayStart, index) =>
+        buildDay(scenario, dayStart, index),
+      ),
+    };
+  }
+  if (dataSets.includes("forecastHourly")) {
+    payload.forecastHourly = {
+      metadata,
+      hours: buildHours(scenario, dayStarts),
+    };
+  }
+  if (dataSets.includes("weatherAlerts")) {
+    payload.weatherAlerts = buildAlerts(scenario, lat, lng, nowMs);
+  }
+  return payload;
+}
+
+/**
+ * Response shaped like WeatherKit's for the scenario and requested data sets.
+ * Error scenarios (`401`, `429`, `500`) answer with that status.
+ * @param {string} scenario From resolveMockScenario().
+ * @param {number} lat
+ * @param {number} lng
+ * @param {string[]} dataSets
+ * @param {number=} nowMs
+ */
+function buildMockWeatherKitResponse(
+  scenario,
+  lat,
+  lng,
+  dataSets,
+  nowMs = Date.now(),
+) {
+  const errorReason = MOCK_ERROR_REASONS[scenario];
+  if (errorReason) {
+    const headers = { "content-type": "application/json" };
+    if (scenario === "429") {
+      headers["retry-after"] = String(MOCK_RETRY_AFTER_SECONDS);
+    }
+    return new Response(JSON.stringify({ reason: errorReason }), {
+      status: Number(scenario),
+      headers,
+    });
+  }
+
+  return new Response(
+    JSON.stringify(buildWeatherPayload(scenario, lat, lng, dataSets, nowMs)),
+    { status: 200, headers: { "content-type": "application/json" } },
+  );
+}
+
+export {
+  MOCK_SCENARIOS,
+  isMockScenario,
+  resolveMockScenario,
+  buildMockWeatherKitResponse,
+};
@@ -0,0 +1,299 @@
+// Validate data/festivals.json against data/festivals.schema.json plus the
+// cross-field rules a schema can't express. Usage: `npm run validate:data`
+// (or `node scripts/validate-data.js path/to/festivals.json`).
+// Errors exit non-zero; warnings are reported but don't fail the run.
+const fs = require("node:fs");
+const path = require("node:path");
+const Ajv2020 = require("ajv/dist/2020").default;
+const addFormats = require("ajv-formats").default;
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DATA_PATH = path.join(ROOT_DIR, "data/festivals.json");
+const SCHEMA_PATH = path.join(ROOT_DIR, "data/festivals.schema.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Records untouched for longer than this likely still carry last season's dates.
+const STALE_MODIFIED_DAYS = 365;
+// Continental US plus Alaska and Hawaii; anything outside is probably swapped
+// or mistyped coordinates.
+const US_BOUNDS = [
+  { minLat: 24, maxLat: 50, minLng: -125, maxLng: -66 },
+  { minLat: 51, maxLat: 72, minLng: -180, maxLng: -129 },
+  { minLat: 18, maxLat: 23, minLng: -161, maxLng: -154 },
+];
+// Handles must form working links through normalizeSocialUrl() in
+// src/lib/festival-utils.js; full URLs are passed through as-is.
+const SOCIAL_HANDLE_PATTERNS = {
+  facebook: /^(groups\/)?[A-Za-z0-9.-]+$/,
+  instagram: /^@?[A-Za-z0-9._]{1,30}$/,
+  x: /^@?[A-Za-z0-9_]{1,15}$/,
+  youtube: /^(@[A-Za-z0-9._-]{3,30}|(channel|c|user)\/[A-Za-z0-9_-]+)$/,
+};
+const PHONE_FORMAT_PATTERN = /^\(\d{3}\) \d{3}-\d{4}$/;
+
+function getRecordLabel(f, index) {
+  const id = f?.id ?? `index ${index}`;
+  const name = f?.name ? ` ${f.name}` : "";
+  const key = [f?.state, f?.abbreviation].filter(Boolean).join("-");
+  return `#${id}${name}${key ? ` (${key})` : ""}`;
+}
+
+function getAssetKey(f) {
+  const sanitize = (value) =>
+    String(value ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  const state = sanitize(f?.state);
+  const abbreviation = sanitize(f?.abbreviation);
+  return state && abbreviation ? `${state}-${abbreviation}` : null;
+}
+
+function getSchemaField(instancePath) {
+  return instancePath.split("/").slice(2).join(".") || "record";
+}
+
+// Collapse Ajv's per-branch anyOf output into one message per field: keep the
+// specific failures (pattern, format, range) and fold bare type mismatches
+// into "must be string or null".
+function formatSchemaErrors(errors) {
+  const byPath = new Map();
+  for (const error of errors) {
+    if (error.keyword === "anyOf" || error.keyword === "oneOf") continue;
+    if (!byPath.has(error.instancePath)) byPath.set(error.instancePath, []);
+    byPath.get(error.instancePath).push(error);
+  }
+
+  const messages = [];
+  for (const [instancePath, pathErrors] of byPath) {
+    const field = getSchemaField(instancePath);
+    const specific = pathErrors.filter(
+      (error) => error.keyword !== "type" && error.keyword !== "const",
+    );
+    if (specific.length === 0) {
+      const types = pathErrors.flatMap((error) =>
+        error.keyword === "type" ? [error.params.type].flat() : [],
+      );
+      messages.push(`${field} must be ${[...new Set(types)].join(" or ")}`);
+      continue;
+    }
+    for (const error of specific) {
+      messages.push(
+        error.keyword === "additionalProperties"
+          ? `${instancePath.split("/").length > 2 ? `${field} has ` : ""}unknown field "${error.params.additionalProperty}"`
+          : `${field} ${error.message}`,
+      );
+    }
+  }
+  return [...new Set(messages)];
+}
+
+function isInUsBounds(lat, lng) {
+  return US_BOUNDS.some(
+    (box) =>
+      lat >= box.minLat &&
+      lat <= box.maxLat &&
+      lng >= box.minLng &&
+      lng <= box.maxLng,
+  );
+}
+
+function checkDateOrder(report, begin, end, label) {
+  if (begin && end && end < begin) {
+    report.error(`${label}dateEnd ${end} is before dateBegin ${begin}`);
+  }
+}
+
+function checkScheduleDateOrder(report, schedule, label) {
+  if (!Array.isArray(schedule)) return;
+  schedule.forEach((entry, i) => {
+    checkDateOrder(
+      report,
+      entry?.dateBegin,
+      entry?.dateEnd,
+      `${label}schedule[${i}] `,
+    );
+  });
+}
+
+function checkEventDateOrder(report, entries, label) {
+  if (!Array.isArray(entries)) return;
+  entries.forEach((entry, i) => {
+    checkDateOrder(report, entry?.dateBegin, entry?.dateEnd, `${label}[${i}] `);
+  });
+}
+
+function checkRecord(f, report, now) {
+  checkDateOrder(report, f.dateBegin, f.dateEnd, "");
+  checkDateOrder(report, f.startDate, f.endDate, "");
+  checkScheduleDateOrder(report, f.schedule, "");
+  checkEventDateOrder(report, f.themes, "themes");
+  checkEventDateOrder(report, f.shows, "shows");
+  if (Array.isArray(f.editions)) {
+    const seenYears = new Set();
+    f.editions.forEach((edition, i) => {
+      const label = `editions[${i}] `;
+      if (seenYears.has(edition?.year)) {
+        report.error(`${label}duplicate edition year ${edition.year}`);
+      }
+      seenYears.add(edition?.year);
+      checkDateOrder(report, edition?.dateBegin, edition?.dateEnd, label);
+      checkScheduleDateOrder(report, edition?.schedule, label);
+      const year = String(edition?.year ?? "");
+      const startYear = String(edition?.dateBegin ?? "").slice(0, 4);
+      if (year && startYear && startYear !== year) {
+        report.warning(
+          `${label}dateBegin ${edition.dateBegin} is not in ${year}`,
+        );
+      }
+      checkEventDateOrder(report, edition?.themes, `${label}themes`);
+      checkEventDateOrder(report, edition?.shows, `${label}shows`);
+    });
+  }
+  if (f.timeBegin && f.timeEnd && f.timeEnd <= f.timeBegin) {
+    report.warning(
+      `timeEnd ${f.timeEnd} is not after timeBegin ${f.timeBegin}`,
+    );
+  }
+
+  if (f.latitude == null || f.longitude == null) {
+    report.warning("missing coordinates; hidden from the map and list");
+  } else if (
+    Math.abs(f.latitude) <= 90 &&
+    Math.abs(f.longitude) <= 180 &&
+    !isInUsBounds(f.latitude, f.longitude)
+  ) {
+    report.warning(
+      `coordinates ${f.latitude}, ${f.longitude} are outside the United States`,
+    );
+  }
+
+  if (typeof f.zip === "number" && f.zip < 10000) {
+    report.warning(
+      `zip ${f.zip} has fewer than 5 digits (store it as a string)`,
+    );
+  }
+
+  if (f.phone) {
+    const digits = String(f.phone).replace(/\D/g, "");
+    const national =
+      digits.length === 11 && digits.startsWith("1") ? digits.slice(1) : digits;
+    if (national.length !== 10 || !/^[2-9]\d{2}[2-9]/.test(national)) {
+      report.warning(`phone "${f.phone}" is not a valid US number`);
+    } else if (!PHONE_FORMAT_PATTERN.test(f.phone)) {
+      report.warning(`phone "${f.phone}" should be formatted (555) 555-5555`);
+    }
+  }
+
+  for (const [platform, pattern] of Object.entries(SOCIAL_HANDLE_PATTERNS)) {
+    const value = String(f[platform] ?? "").trim();
+    if (!value || /^https?:\/\//i.test(value)) continue;
+    if (!pattern.test(value)) {
+      report.warning(`${platform} handle "${value}" won't form a working link`);
+    }
+  }
+
+  const modified = f.modified ? Date.parse(f.modified) : NaN;
+  if (Number.isFinite(modified)) {
+    const ageDays = Math.floor((now.getTime() - modified) / DAY_MS);
+    if (ageDays > STALE_MODIFIED_DAYS) {
+      report.warning(
+        `modified ${f.modified.slice(0, 10)} is ${ageDays} days old`,
+      );
+    } else if (ageDays < 0) {
+      report.warning(`modified ${f.modified} is in the future`);
+    }
+  }
+}
+
+function validateFestivals(festivals, schema, now = new Date()) {
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const validate = ajv.compile(schema);
+  validate(festivals);
+
+  const results = new Map();
+  const getResult = (index) => {
+    if (!results.has(index)) results.set(index, { errors: [], warnings: [] });
+    return results.get(index);
+  };
+
+  const schemaErrorsByIndex = new Map();
+  for (const error of validate.errors ?? []) {
+    const index = Number(error.instancePath.split("/")[1]);
+    if (!Number.isInteger(index)) continue;
+    if (!schemaErrorsByIndex.has(index)) schemaErrorsByIndex.set(index, []);
+    schemaErrorsByIndex.get(index).push(error);
+  }
+  for (const [index, errors] of schemaErrorsByIndex) {
+    getResult(index).errors.push(...formatSchemaErrors(errors));
+  }
+
+  const seenIds = new Map();
+  const seenAssetKeys = new Map();
+  festivals.forEach((f, index) => {
+    if (f == null || typeof f !== "object") return;
+    const report = {
+      error: (message) => getResult(index).errors.push(message),
+      warning: (message) => getResult(index).warnings.push(message),
+    };
+
+    const id = String(f.id);
+    if (seenIds.has(id)) {
+      report.error(`duplicate id (also ${seenIds.get(id)})`);
+    } else {
+      seenIds.set(id, getRecordLabel(f, index));
+    }
+
+    // Asset URLs are keyed by state+abbreviation, so collisions share images.
+    const assetKey = getAssetKey(f);
+    if (assetKey && seenAssetKeys.has(assetKey)) {
+      report.error(
+        `duplicate abbreviation+state "${assetKey}" (also ${seenAssetKeys.get(assetKey)})`,
+      );
+    } else if (assetKey) {
+      seenAssetKeys.set(assetKey, getRecordLabel(f, index));
+    }
+
+    checkRecord(f, report, now);
+  });
+
+  return results;
+}
+
+function main() {
+  const dataPath = process.argv[2] ? path.resolve(process.argv[2]) : DATA_PATH;
+  const displayPath = path.relative(process.cwd(), dataPath);
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+  let festivals;
+  try {
+    festivals = JSON.parse(fs.readFileSync(dataPath, "utf8"));
+  } catch (error) {
+    console.error(`${displayPath}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(festivals)) {
+    console.error(`${displayPath}: expected an array of festival records`);
+    process.exit(1);
+  }
+
+  const results = validateFestivals(festivals, schema);
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const [index, { errors, warnings }] of [...results].sort(
+    (a, b) => a[0] - b[0],
+  )) {
+    if (errors.length === 0 && warnings.length === 0) continue;
+    console.log(getRecordLabel(festivals[index], index));
+    for (const message of errors) console.log(`  error    ${message}`);
+    for (const message of warnings) console.log(`  warning  ${message}`);
+    errorCount += errors.length;
+    warningCount += warnings.length;
+  }
+
+  console.log(
+    `\n${festivals.length} records: ${errorCount} error(s), ${warningCount} warning(s)`,
+  );
+  if (errorCount > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,254 @@
+// @ts-check
+
+// RFC 5545 (iCalendar) builders for festival dates. Shared by the detail panel
+// "Add to Calendar" download and the worker's subscribable feed, so it must
+// stay free of DOM/config globals.
+/** @typedef {import("../types.js").Festival} Festival */
+import { getFestivalOperatingDays } from "./festival-dates.js";
+
+const CALENDAR_PRODUCT_ID = "-//Renfo//Festival Calendar//EN";
+const CALENDAR_UID_DOMAIN = "renfo.app";
+// RFC 5545 3.1: fold content lines longer than 75 octets.
+const ICS_MAX_LINE_OCTETS = 75;
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Longer unscheduled ranges are usually weekend-only seasons, so they export as
+// an all-day span instead of claiming every day in between is open.
+const MAX_UNSCHEDULED_DAILY_DAYS = 4;
+const lineEncoder = new TextEncoder();
+
+function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function foldIcsLine(line) {
+  if (lineEncoder.encode(line).length <= ICS_MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = lineEncoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit.
+    const limit =
+      parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function toIcsDate(dateKey) {
+  const match = DATE_KEY_PATTERN.exec(String(dateKey ?? ""));
+  return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+function addDaysToDateKey(dateKey, days) {
+  const match = DATE_KEY_PATTERN.exec(dateKey);
+  if (!match) return null;
+  const date = new Date(
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days),
+  );
+  return date.toISOString().slice(0, 10);
+}
+
+function toIcsTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(String(value ?? ""));
+  if (!match) return null;
+  const hours = Number(match[1]);
+  if (hours > 23) return null;
+  return `${String(hours).padStart(2, "0")}${match[2]}${match[3] ?? "00"}`;
+}
+
+function toIcsUtcTimestamp(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function getFestivalLocation(f) {
+  const cityState = [f.city, f.state].filter(Boolean).join(", ");
+  const locality = [cityState, f.zip].filter(Boolean).join(" ");
+  return [f.address, locality].filter(Boolean).join(", ");
+}
+
+function getFestivalDescription(f) {
+  const lines = [];
+  if (f.description) lines.push(String(f.description).trim());
+  if (f.website) lines.push(`Website: ${f.website}`);
+  if (f.tickets) lines.push(`Tickets: ${f.tickets}`);
+  return lines.join("\n\n");
+}
+
+/**
+ * Group open days into runs of consecutive dates that share opening hours.
+ * Unscheduled records become a single run from dateBegin to dateEnd.
+ * @param {Festival} f
+ */
+function getFestivalCalendarRuns(f) {
+  const operatingDays = getFestivalOperatingDays(f);
+  if (!operatingDays) {
+    const startKey = String(f.dateBegin ?? f.startDate ?? "").slice(0, 10);
+    const endKey =
+      String(f.dateEnd ?? f.endDate ?? "").slice(0, 10) || startKey;
+    if (!toIcsDate(startKey) || !toIcsDate(endKey) || endKey < startKey) {
+      return [];
+    }
+    const run = {
+      startKey,
+      endKey,
+      timeBegin: f.timeBegin ?? null,
+      timeEnd: f.timeEnd ?? null,
+    };
+    return [
+      {
+        ...run,
+        isEveryDay: countRunDays(run) <= MAX_UNSCHEDULED_DAILY_DAYS,
+      },
+    ];
+  }
+
+  const runs = [];
+  for (const day of operatingDays) {
+    const last = runs[runs.length - 1];
+    if (
+      last &&
+      addDaysToDateKey(last.endKey, 1) === day.date &&
+      last.timeBegin === day.timeBegin &&
+      last.timeEnd === day.timeEnd
+    ) {
+      last.endKey = day.date;
+      continue;
+    }
+    runs.push({
+      startKey: day.date,
+      endKey: day.date,
+      timeBegin: day.timeBegin ?? null,
+      timeEnd: day.timeEnd ?? null,
+      isEveryDay: true,
+    });
+  }
+  return runs;
+}
+
+function countRunDays(run) {
+  let count = 1;
+  let cursor = run.startKey;
+  while (cursor < run.endKey && count < 400) {
+    cursor = addDaysToDateKey(cursor, 1);
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * VEVENT lines for one festival. Times are floating (no TZID): the data has no
+ * venue time zone, and floating times read as "10 AM wherever the fair is".
+ * @param {Festival} f
+ * @param {{ now?: Date }=} options
+ * @returns {string[]}
+ */
+function buildFestivalEventLines(f, options = {}) {
+  if (f?.discontinued === true) return [];
+  const stamp = toIcsUtcTimestamp(options.now ?? new Date());
+  const location = getFestivalLocation(f);
+  const description = getFestivalDescription(f);
+  const lines = [];
+
+  for (const run of getFestivalCalendarRuns(f)) {
+    const startTime = toIcsTime(run.timeBegin);
+    const endTime = toIcsTime(run.timeEnd);
+    const isTimed = Boolean(
+      run.isEveryDay && startTime && endTime && endTime > startTime,
+    );
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:festival-${f.id}-${toIcsDate(run.startKey)}@${CALENDAR_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+    );
+    if (isTimed) {
+      // Each open day is its own occurrence so overnight closures stay off the calendar.
+      lines.push(
+        `DTSTART:${toIcsDate(run.startKey)}T${startTime}`,
+        `DTEND:${toIcsDate(run.startKey)}T${endTime}`,
+      );
+      const dayCount = countRunDays(run);
+      if (dayCount > 1) lines.push(`RRULE:FREQ=DAILY;COUNT=${dayCount}`);
+    } else {
+      lines.push(
+        `DTSTART;VALUE=DATE:${toIcsDate(run.startKey)}`,
+        `DTEND;VALUE=DATE:${toIcsDate(addDaysToDateKey(run.endKey, 1))}`,
+      );
+    }
+    lines.push(`SUMMARY:${escapeIcsText(f.name ?? "Festival")}`);
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    // All-day spans keep the posted hours in the notes.
+    const hoursNote =
+      !isTimed && run.timeBegin && run.timeEnd
+        ? `Hours: ${String(run.timeBegin).slice(0, 5)}-${String(run.timeEnd).slice(0, 5)}`
+        : "";
+    const notes = [hoursNote, description].filter(Boolean).join("\n\n");
+    if (notes) lines.push(`DESCRIPTION:${escapeIcsText(notes)}`);
+    if (f.website) lines.push(`URL:${f.website}`);
+    if (Number.isFinite(f.latitude) && Number.isFinite(f.longitude)) {
+      lines.push(`GEO:${f.latitude};${f.longitude}`);
+    }
+    lines.push("END:VEVENT");
+  }
+  return lines;
+}
+
+/**
+ * Full VCALENDAR document with CRLF line endings.
+ * @param {Festival[]} festivals
+ * @param {{ name?: string, now?: Date, refreshHours?: number }=} options
+ */
+function buildFestivalCalendar(festivals, options = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeIcsText(options.name)}`);
+  if (options.refreshHours) {
+    // Hints for subscribed calendars to poll for date changes.
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${options.refreshHours}H`,
+      `X-PUBLISHED-TTL:PT${options.refreshHours}H`,
+    );
+  }
+  for (const f of festivals) {
+    lines.push(...buildFestivalEventLines(f, options));
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Download-friendly file name, e.g. "tx-trf.ics".
+ * @param {Festival} f
+ */
+function getFestivalCalendarFileName(f) {
+  const base = [f.state, f.abbreviation || f.name]
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${base || "festival"}.ics`;
+}
+
+export { buildFestivalCalendar, getFestivalCalendarFileName };
@@ -0,0 +1,346 @@
+// @ts-check
+
+// Festival date, schedule and status rules. Kept free of DOM/config globals so
+// the API worker can share them with the browser app.
+/** @typedef {import("../types.js").Festival} Festival */
+/** @typedef {import("../types.js").FestivalOperatingDay} FestivalOperatingDay */
+/** @typedef {import("../types.js").FestivalEdition} FestivalEdition */
+
+function parseDate(value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+  const dateOnlyMatch = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnlyMatch) {
+    // Treat YYYY-MM-DD values as local dates (not UTC) to avoid timezone drift.
+    const year = Number(dateOnlyMatch[1]);
+    const monthIndex = Number(dateOnlyMatch[2]) - 1;
+    const day = Number(dateOnlyMatch[3]);
+    const d = new Date(year, monthIndex, day);
+    return Number.isFinite(d.getTime()) ? d : null;
+  }
+
+  const d = new Date(raw);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function startOfLocalDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Guards against typo'd ranges (e.g. wrong year) expanding into huge day lists.
+const MAX_SCHEDULE_ENTRY_DAYS = 400;
+const WEEKDAY_INDEX_BY_NAME = new Map([
+  ["sun", 0],
+  ["mon", 1],
+  ["tue", 2],
+  ["wed", 3],
+  ["thu", 4],
+  ["fri", 5],
+  ["sat", 6],
+]);
+
+function toLocalDateKey(date) {
+  const year = String(date.getFullYear()).padStart(4, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function getDayDifference(fromDay, toDay) {
+  // Round instead of floor so DST transitions don't shave off a day.
+  return Math.round((toDay.getTime() - fromDay.getTime()) / DAY_MS);
+}
+
+function parseScheduleWeekdays(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const weekdays = new Set();
+  for (const item of value) {
+    if (typeof item === "number" && Number.isInteger(item)) {
+      if (item >= 0 && item <= 6) weekdays.add(item);
+      continue;
+    }
+    const index = WEEKDAY_INDEX_BY_NAME.get(
+      String(item ?? "")
+        .trim()
+        .toLowerCase()
+        .slice(0, 3),
+    );
+    if (index != null) weekdays.add(index);
+  }
+  return weekdays.size > 0 ? weekdays : null;
+}
+
+function expandScheduleEntry(entry, f) {
+  const start = parseDate(entry?.date ?? entry?.dateBegin);
+  const end = parseDate(entry?.date ?? entry?.dateEnd ?? entry?.dateBegin);
+  if (!start || !end) return [];
+
+  const weekdays = parseScheduleWeekdays(entry?.weekdays);
+  const timeBegin = entry?.timeBegin ?? f?.timeBegin ?? null;
+  const timeEnd = entry?.timeEnd ?? f?.timeEnd ?? null;
+  const days = [];
+  const cursor = startOfLocalDay(start);
+  const endDay = startOfLocalDay(end);
+  for (
+    let count = 0;
+    cursor <= endDay && count < MAX_SCHEDULE_ENTRY_DAYS;
+    count += 1
+  ) {
+    if (!weekdays || weekdays.has(cursor.getDay())) {
+      days.push({ date: toLocalDateKey(cursor), timeBegin, timeEnd });
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+}
+
+/**
+ * Expand `schedule` entries into sorted operating days. Later entries win for
+ * the same date so one-off hours can override a weekend pattern.
+ * Returns null for single-range records without a schedule.
+ * @param {Festival} f
+ * @returns {FestivalOperatingDay[]|null}
+ */
+function getFestivalOperatingDays(f) {
+  if (Array.isArray(f?.operatingDays)) return f.operatingDays;
+  if (!Array.isArray(f?.schedule) || f.schedule.length === 0) return null;
+
+  const byDate = new Map();
+  for (const entry of f.schedule) {
+    for (const day of expandScheduleEntry(entry, f)) {
+      byDate.set(day.date, day);
+    }
+  }
+  if (byDate.size === 0) return null;
+
+  return Array.from(byDate.values()).sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+}
+
+/**
+ * @param {Festival} f
+ * @param {Date=} now
+ * @returns {FestivalOperatingDay|null}
+ */
+function getNextOperatingDay(f, now = new Date()) {
+  const operatingDays = getFestivalOperatingDays(f);
+  if (!operatingDays) return null;
+  const todayKey = toLocalDateKey(now);
+  return operatingDays.find((day) => day.date >= todayKey) ?? null;
+}
+
+function getScheduledFestivalStatus(operatingDays, now) {
+  const todayKey = toLocalDateKey(now);
+  const lastDay = operatingDays[operatingDays.length - 1];
+  if (lastDay.date < todayKey) return "Inactive";
+  // Closed days between open weekends count down to the next open day.
+  return operatingDays.some((day) => day.date === todayKey)
+    ? "Active"
+    : "Upcoming";
+}
+
+/**
+ * @param {Festival} f
+ * @param {Date=} now
+ */
+function getDerivedFestivalStatus(f, now = new Date()) {
+  if (f?.discontinued === true) return "Discontinued";
+  // Between seasons with no announced dates; kept apart from lapsed fairs.
+  if (f?.datesTba === true) return "Dates TBA";
+
+  const operatingDays = getFestivalOperatingDays(f);
+  if (operatingDays) return getScheduledFestivalStatus(operatingDays, now);
+
+  const start = parseDate(f?.dateBegin ?? f?.startDate);
+  const end = parseDate(f?.dateEnd ?? f?.endDate);
+  const today = startOfLocalDay(now);
+  const startDay = start ? startOfLocalDay(start) : null;
+  const endDay = end ? startOfLocalDay(end) : null;
+
+  if (startDay && endDay) {
+    if (today < startDay) return "Upcoming";
+    if (today > endDay) return "Inactive";
+    return "Active";
+  }
+
+  if (startDay) {
+    return today < startDay ? "Upcoming" : "Active";
+  }
+
+  if (endDay) {
+    return today > endDay ? "Inactive" : "Active";
+  }
+
+  return null;
+}
+
+/**
+ * @param {Festival} f
+ * @param {Date=} now
+ * @param {string|null=} status
+ */
+function getDaysUntilFestivalStart(f, now = new Date(), status = null) {
+  const resolvedStatus = status ?? getDerivedFestivalStatus(f, now);
+  if (resolvedStatus !== "Upcoming") return null;
+
+  const nextOperatingDay = getNextOperatingDay(f, now);
+  const start = nextOperatingDay
+    ? parseDate(nextOperatingDay.date)
+    : parseDate(f?.dateBegin ?? f?.startDate);
+  if (!start) return null;
+
+  const today = startOfLocalDay(now);
+  const startDay = startOfLocalDay(start);
+  const diffMs = startDay.getTime() - today.getTime();
+  if (diffMs < 0) return null;
+  return Math.floor(diffMs / DAY_MS);
+}
+
+function getEditionYear(edition) {
+  const year = Number(edition?.year);
+  if (Number.isInteger(year)) return year;
+  const start = parseDate(edition?.dateBegin ?? edition?.schedule?.[0]?.date);
+  return start ? start.getFullYear() : null;
+}
+
+function getEditionLastDateKey(edition) {
+  const operatingDays = getFestivalOperatingDays({
+    schedule: edition.schedule,
+    timeBegin: edition.timeBegin,
+    timeEnd: edition.timeEnd,
+  });
+  if (operatingDays) return operatingDays[operatingDays.length - 1].date;
+  const end = parseDate(edition.dateEnd ?? edition.dateBegin);
+  return end ? toLocalDateKey(end) : null;
+}
+
+/**
+ * Normalized `editions`, oldest first. Returns null for single-range records.
+ * @param {Festival} f
+ * @returns {FestivalEdition[]|null}
+ */
+function getFestivalEditions(f) {
+  if (!Array.isArray(f?.editions) || f.editions.length === 0) return null;
+  const editions = f.editions
+    .map((edition) => ({ ...edition, year: getEditionYear(edition) }))
+    .filter((edition) => edition.year != null);
+  if (editions.length === 0) return null;
+  return editions.sort(
+    (a, b) =>
+      a.year - b.year ||
+      String(a.dateBegin ?? "").localeCompare(String(b.dateBegin ?? "")),
+  );
+}
+
+/**
+ * Copy the edition that is running or next up onto the record's top-level
+ * date/hour/attendance fields so the rest of the app keeps reading those.
+ * With no announced edition the dates are cleared and `datesTba` is set.
+ * @param {Festival} raw
+ * @param {FestivalEdition[]} editions
+ * @param {Date} now
+ * @returns {Festival}
+ */
+function applyCurrentEdition(raw, editions, now) {
+  const todayKey = toLocalDateKey(now);
+  const lastDateKeys = new Map(
+    editions.map((edition) => [edition, getEditionLastDateKey(edition)]),
+  );
+  // Undated editions stay current through their year ("2026, dates TBA").
+  const isOver = (edition) => {
+    const lastDateKey = lastDateKeys.get(edition);
+    return lastDateKey
+      ? lastDateKey < todayKey
+      : edition.year < now.getFullYear();
+  };
+  const current = editions.find((edition) => !isOver(edition)) ?? null;
+  const pastEditions = editions.filter(isOver).reverse();
+  const hasDates = Boolean(current && lastDateKeys.get(current));
+
+  return {
+    ...raw,
+    dateBegin: hasDates ? (current.dateBegin ?? null) : null,
+    dateEnd: hasDates ? (current.dateEnd ?? null) : null,
+    schedule: hasDates ? current.schedule : undefined,
+    timeBegin: current?.timeBegin ?? raw.timeBegin ?? null,
+    timeEnd: current?.timeEnd ?? raw.timeEnd ?? null,
+    // Upcoming editions rarely have numbers yet; show the latest known.
+    attendance:
+      current?.attendance ??
+      pastEditions.find((edition) => edition.attendance != null)?.attendance ??
+      raw.attendance,
+    themes: current?.themes ?? [],
+    // Show times usually carry over between years.
+    shows: current?.shows ?? raw.shows ?? [],
+    editionYear: current?.year ?? null,
+    datesTba: !hasDates,
+    pastEditions,
+  };
+}
+
+/**
+ * Attach expanded schedule days, the derived status and days-until to a raw
+ * festival record. Records with `editions` first resolve to the current one.
+ * Scheduled runs take their span from the first/last open day.
+ * @param {Festival} raw
+ * @param {Date=} now
+ * @returns {Festival}
+ */
+function withDerivedFestivalDates(raw, now = new Date()) {
+  const editions = getFestivalEditions(raw);
+  const base = editions ? applyCurrentEdition(raw, editions, now) : raw;
+  const operatingDays = getFestivalOperatingDays(base);
+  const f = operatingDays
+    ? {
+        ...base,
+        operatingDays,
+        dateBegin: operatingDays[0].date,
+        dateEnd: operatingDays[operatingDays.length - 1].date,
+      }
+    : base;
+  const status = getDerivedFestivalStatus(f, now);
+  return {
+    ...f,
+    status,
+    daysUntilStart: getDaysUntilFestivalStart(f, now, status),
+  };
+}
+
+/**
+ * Whether the festival is open on any day in the inclusive YYYY-MM-DD window.
+ * Either bound may be null for an open-ended window.
+ * @param {Festival} f
+ * @param {string|null} fromKey
+ * @param {string|null} toKey
+ */
+function isFestivalOpenBetween(f, fromKey, toKey) {
+  const from = fromKey ?? "0000-01-01";
+  const to = toKey ?? "9999-12-31";
+  // Scheduled runs only count days the gates are actually open.
+  if (Array.isArray(f?.operatingDays) && f.operatingDays.length > 0) {
+    return f.operatingDays.some((day) => day.date >= from && day.date <= to);
+  }
+
+  const begin = String(f?.dateBegin ?? f?.startDate ?? "").slice(0, 10);
+  const end = String(f?.dateEnd ?? f?.endDate ?? "").slice(0, 10) || begin;
+  if (!DATE_KEY_PATTERN.test(begin) || !DATE_KEY_PATTERN.test(end)) {
+    return false;
+  }
+  return begin <= to && end >= from;
+}
+
+export {
+  parseDate,
+  startOfLocalDay,
+  toLocalDateKey,
+  getDayDifference,
+  getFestivalOperatingDays,
+  getNextOperatingDay,
+  getDerivedFestivalStatus,
+  getDaysUntilFestivalStart,
+  withDerivedFestivalDates,
+  isFestivalOpenBetween,
+};
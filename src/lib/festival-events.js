@@ -0,0 +1,121 @@
+// @ts-check
+
+// Theme weekends and daily show schedules for the detail panel.
+/** @typedef {import("../types.js").Festival} Festival */
+/** @typedef {import("../types.js").FestivalTheme} FestivalTheme */
+/** @typedef {import("../types.js").FestivalShow} FestivalShow */
+import { toLocalDateKey } from "./festival-dates.js";
+import { isFestivalOpenOnDate, formatTime } from "./festival-utils.js";
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})/;
+
+/**
+ * @typedef {Object} FestivalThemeItem
+ * @property {string} name
+ * @property {string|null} description
+ * @property {string|null} startKey
+ * @property {string|null} endKey
+ * @property {boolean} isCurrent Today falls inside the theme's dates.
+ */
+
+/**
+ * @typedef {Object} FestivalShowTime
+ * @property {string} name
+ * @property {string|null} stage
+ * @property {string} time HH:MM
+ * @property {string} timeLabel
+ */
+
+function getEntryDateKeys(theme) {
+  const startKey = String(theme?.date ?? theme?.dateBegin ?? "").slice(0, 10);
+  const endKey =
+    String(theme?.date ?? theme?.dateEnd ?? "").slice(0, 10) || startKey;
+  return { startKey: startKey || null, endKey: endKey || null };
+}
+
+/**
+ * @param {Festival} f
+ * @returns {FestivalTheme[]}
+ */
+function getFestivalThemes(f) {
+  return (Array.isArray(f?.themes) ? f.themes : []).filter((theme) =>
+    String(theme?.name ?? "").trim(),
+  );
+}
+
+/**
+ * Themes that haven't ended yet, soonest first. Undated themes sort last.
+ * @param {Festival} f
+ * @param {Date=} now
+ * @returns {FestivalThemeItem[]}
+ */
+function getUpcomingFestivalThemes(f, now = new Date()) {
+  const todayKey = toLocalDateKey(now);
+  return getFestivalThemes(f)
+    .map((theme) => {
+      const { startKey, endKey } = getEntryDateKeys(theme);
+      return {
+        name: String(theme.name).trim(),
+        description: String(theme.description ?? "").trim() || null,
+        startKey,
+        endKey,
+        isCurrent: Boolean(
+          startKey && endKey && startKey <= todayKey && todayKey <= endKey,
+        ),
+      };
+    })
+    .filter((theme) => !theme.endKey || theme.endKey >= todayKey)
+    .sort((a, b) => (a.startKey ?? "9999").localeCompare(b.startKey ?? "9999"));
+}
+
+function showRunsOnDate(show, dateKey, weekday) {
+  const { startKey, endKey } = getEntryDateKeys(show);
+  if (startKey && dateKey < startKey) return false;
+  if (endKey && dateKey > endKey) return false;
+  if (!Array.isArray(show.weekdays) || show.weekdays.length === 0) return true;
+  return show.weekdays.some((value) =>
+    typeof value === "number"
+      ? value === weekday
+      : String(value).trim().toLowerCase().slice(0, 3) ===
+        WEEKDAY_KEYS[weekday],
+  );
+}
+
+/**
+ * Show times on the given day, in time order. Empty when the festival is
+ * closed that day. Shows run every open day unless limited by
+ * `date`/`dateBegin`/`dateEnd` or `weekdays`.
+ * @param {Festival} f
+ * @param {Date=} now
+ * @returns {FestivalShowTime[]}
+ */
+function getFestivalShowsForDay(f, now = new Date()) {
+  const dateKey = toLocalDateKey(now);
+  if (!Array.isArray(f?.shows) || !isFestivalOpenOnDate(f, dateKey)) {
+    return [];
+  }
+
+  const weekday = now.getDay();
+  const entries = [];
+  for (const show of f.shows) {
+    const name = String(show?.name ?? "").trim();
+    if (!name || !showRunsOnDate(show, dateKey, weekday)) continue;
+    for (const value of Array.isArray(show.times) ? show.times : []) {
+      const match = TIME_PATTERN.exec(String(value ?? ""));
+      if (!match) continue;
+      const time = `${match[1].padStart(2, "0")}:${match[2]}`;
+      entries.push({
+        name,
+        stage: String(show.stage ?? "").trim() || null,
+        time,
+        timeLabel: formatTime(time) ?? time,
+      });
+    }
+  }
+  return entries.sort(
+    (a, b) => a.time.localeCompare(b.time) || a.name.localeCompare(b.name),
+  );
+}
+
+export { getUpcomingFestivalThemes, getFestivalShowsForDay };
@@ -2,6 +2,18 @@
 
 // Festival/domain formatting helpers shared by rendering and filtering logic.
 /** @typedef {import("../types.js").Festival} Festival */
+import { getUnitSystem, formatDistanceFromKm } from "./units.js";
+import {
+  parseDate,
+  startOfLocalDay,
+  toLocalDateKey,
+  getDayDifference,
+  getFestivalOperatingDays,
+  getNextOperatingDay,
+  getDerivedFestivalStatus,
+  getDaysUntilFestivalStart,
+  withDerivedFestivalDates,
+} from "./festival-dates.js";
 
 const DEFAULT_FESTIVAL_LOGO = "/assets/images/renfo-logo.png";
 const ASSETS_BASE_URL = String(
@@ -43,75 +55,80 @@ function normalize(s) {
   return (s ?? "").toString().toLowerCase();
 }
 
-function parseDate(value) {
-  if (!value) return null;
-  const raw = String(value).trim();
-  const dateOnlyMatch = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (dateOnlyMatch) {
-    // Treat YYYY-MM-DD values as local dates (not UTC) to avoid timezone drift.
-    const year = Number(dateOnlyMatch[1]);
-    const monthIndex = Number(dateOnlyMatch[2]) - 1;
-    const day = Number(dateOnlyMatch[3]);
-    const d = new Date(year, monthIndex, day);
-    return Number.isFinite(d.getTime()) ? d : null;
-  }
-
-  const d = new Date(raw);
-  return Number.isFinite(d.getTime()) ? d : null;
-}
+/**
+ * @param {Festival} f
+ * @param {string|null|undefined} dateKey YYYY-MM-DD
+ */
+function isFestivalOpenOnDate(f, dateKey) {
+  if (!dateKey || f?.discontinued === true) return false;
+  const operatingDays = getFestivalOperatingDays(f);
+  if (operatingDays) return operatingDays.some((day) => day.date === dateKey);
 
-function startOfLocalDay(date) {
-  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const start = parseDate(f?.dateBegin ?? f?.startDate);
+  const end = parseDate(f?.dateEnd ?? f?.endDate) ?? start;
+  if (!start || !end) return false;
+  return toLocalDateKey(start) <= dateKey && dateKey <= toLocalDateKey(end);
 }
 
 /**
+ * Next open day (today or later) and last day of the current run, or null
+ * once the run is over.
  * @param {Festival} f
  * @param {Date=} now
+ * @returns {{ nextDateKey: string, lastDateKey: string, daysUntilNext: number }|null}
  */
-function getDerivedFestivalStatus(f, now = new Date()) {
-  if (f?.discontinued === true) return "Discontinued";
-
-  const start = parseDate(f?.dateBegin ?? f?.startDate);
-  const end = parseDate(f?.dateEnd ?? f?.endDate);
+function getFestivalUpcomingRun(f, now = new Date()) {
+  if (f?.discontinued === true) return null;
   const today = startOfLocalDay(now);
-  const startDay = start ? startOfLocalDay(start) : null;
-  const endDay = end ? startOfLocalDay(end) : null;
-
-  if (startDay && endDay) {
-    if (today < startDay) return "Upcoming";
-    if (today > endDay) return "Inactive";
-    return "Active";
-  }
-
-  if (startDay) {
-    return today < startDay ? "Upcoming" : "Active";
+  const todayKey = toLocalDateKey(today);
+
+  let nextDateKey;
+  let lastDateKey;
+  const operatingDays = getFestivalOperatingDays(f);
+  if (operatingDays) {
+    nextDateKey = getNextOperatingDay(f, now)?.date ?? null;
+    lastDateKey = operatingDays[operatingDays.length - 1].date;
+  } else {
+    const start = parseDate(f?.dateBegin ?? f?.startDate);
+    const end = parseDate(f?.dateEnd ?? f?.endDate) ?? start;
+    if (!end) return null;
+    lastDateKey = toLocalDateKey(end);
+    if (lastDateKey < todayKey) return null;
+    const startKey = start ? toLocalDateKey(start) : todayKey;
+    nextDateKey = startKey > todayKey ? startKey : todayKey;
   }
 
-  if (endDay) {
-    return today > endDay ? "Inactive" : "Active";
-  }
-
-  return null;
+  const nextDay = parseDate(nextDateKey);
+  if (!nextDay || !lastDateKey) return null;
+  return {
+    nextDateKey,
+    lastDateKey,
+    daysUntilNext: getDayDifference(today, nextDay),
+  };
 }
 
 /**
+ * "Open today" / "Next open Saturday" for scheduled festivals; null otherwise.
  * @param {Festival} f
  * @param {Date=} now
- * @param {string|null=} status
  */
-function getDaysUntilFestivalStart(f, now = new Date(), status = null) {
-  const resolvedStatus = status ?? getDerivedFestivalStatus(f, now);
-  if (resolvedStatus !== "Upcoming") return null;
-
-  const start = parseDate(f?.dateBegin ?? f?.startDate);
-  if (!start) return null;
-
-  const today = startOfLocalDay(now);
-  const startDay = startOfLocalDay(start);
-  const diffMs = startDay.getTime() - today.getTime();
-  const dayMs = 24 * 60 * 60 * 1000;
-  if (diffMs < 0) return null;
-  return Math.floor(diffMs / dayMs);
+function getFestivalOpenDayLabel(f, now = new Date()) {
+  if (f?.discontinued === true) return null;
+  const operatingDays = getFestivalOperatingDays(f);
+  const nextOperatingDay = getNextOperatingDay(f, now);
+  if (!operatingDays || !nextOperatingDay) return null;
+
+  const nextDay = parseDate(nextOperatingDay.date);
+  if (!nextDay) return null;
+  const diffDays = getDayDifference(startOfLocalDay(now), nextDay);
+  if (diffDays <= 0) return "Open today";
+  if (diffDays === 1) return "Next open tomorrow";
+  if (diffDays < 7) {
+    return `Next open ${nextDay.toLocaleDateString(undefined, { weekday: "long" })}`;
+  }
+  // Before opening day the date range already says when the run starts.
+  if (nextOperatingDay.date === operatingDays[0].date) return null;
+  return `Next open ${nextDay.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
 }
 
 function formatLastUpdated(value) {
@@ -151,9 +168,94 @@ function compareByStartDate(a, b) {
   return diff !== 0 ? diff : compareByName(a, b);
 }
 
+const KM_PER_MILE = 1.609344;
+// Band edges in miles; labels follow the active unit system.
+const DISTANCE_BAND_EDGES_MILES = [50, 150, 300];
+const DISTANCE_UNKNOWN_LABEL = "Distance unknown";
+
+function hasDistance(f) {
+  return typeof f?.distanceKm === "number" && Number.isFinite(f.distanceKm);
+}
+
+function formatDistanceBandEdge(miles) {
+  const value =
+    getUnitSystem() === "metric" ? Math.round(miles * KM_PER_MILE) : miles;
+  return value.toLocaleString();
+}
+
+/** Ordered band labels, e.g. "Under 50 mi", "50-150 mi", ..., "Over 300 mi". */
+function getDistanceBandLabels() {
+  const unit = getUnitSystem() === "metric" ? "km" : "mi";
+  const edges = DISTANCE_BAND_EDGES_MILES.map(formatDistanceBandEdge);
+  const labels = [`Under ${edges[0]} ${unit}`];
+  for (let i = 1; i < edges.length; i++) {
+    labels.push(`${edges[i - 1]}\u2013${edges[i]} ${unit}`);
+  }
+  labels.push(`Over ${edges[edges.length - 1]} ${unit}`);
+  return labels;
+}
+
+function getDistanceBandLabel(f) {
+  if (!hasDistance(f)) return DISTANCE_UNKNOWN_LABEL;
+  const miles = f.distanceKm / KM_PER_MILE;
+  const bandIndex = DISTANCE_BAND_EDGES_MILES.findIndex((edge) => miles < edge);
+  const labels = getDistanceBandLabels();
+  return labels[bandIndex === -1 ? labels.length - 1 : bandIndex];
+}
+
+/** @param {Festival} f */
+function formatFestivalDistance(f) {
+  return hasDistance(f) ? formatDistanceFromKm(f.distanceKm) : null;
+}
+
+const FAVORITES_GROUP_LABEL = "Favorites";
+const OTHER_FESTIVALS_GROUP_LABEL = "All Festivals";
+const START_MONTH_UNKNOWN_LABEL = "Dates TBA";
+const REGION_UNKNOWN_LABEL = "Other";
+// US Census Bureau regions, in the bureau's numbering order.
+const CENSUS_REGIONS = [
+  ["Northeast", "CT ME MA NH RI VT NJ NY PA"],
+  ["Midwest", "IL IN MI OH WI IA KS MN MO NE ND SD"],
+  ["South", "DE DC FL GA MD NC SC VA WV AL KY MS TN AR LA OK TX"],
+  ["West", "AZ CO ID MT NV NM UT WY AK CA HI OR WA"],
+];
+const CENSUS_REGION_BY_STATE = new Map(
+  CENSUS_REGIONS.flatMap(([region, states]) =>
+    states.split(" ").map((state) => [state, region]),
+  ),
+);
+/** "October 2025" from the first open day; "Dates TBA" without dates. */
+function getStartMonthLabel(f) {
+  const start = parseDate(f?.dateBegin ?? f?.startDate);
+  if (!start) return START_MONTH_UNKNOWN_LABEL;
+  return start.toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/** YYYY-MM of the first open day, for sorting the localized month labels. */
+function getStartMonthKey(f) {
+  const start = parseDate(f?.dateBegin ?? f?.startDate);
+  return start ? toLocalDateKey(start).slice(0, 7) : null;
+}
+
+function getCensusRegionLabel(f) {
+  const state = String(f?.state ?? "")
+    .trim()
+    .toUpperCase();
+  return CENSUS_REGION_BY_STATE.get(state) ?? REGION_UNKNOWN_LABEL;
+}
+
 function getGroupKey(f, groupMode) {
   if (groupMode === "status") return f.status || "Unknown";
   if (groupMode === "state") return f.stateName || f.state || "Unknown";
+  if (groupMode === "distance") return getDistanceBandLabel(f);
+  if (groupMode === "month") return getStartMonthLabel(f);
+  if (groupMode === "region") return getCensusRegionLabel(f);
+  if (groupMode === "favorites") {
+    return f.isFavorite ? FAVORITES_GROUP_LABEL : OTHER_FESTIVALS_GROUP_LABEL;
+  }
   return "All";
 }
 
@@ -193,6 +295,15 @@ function getListIndicatorData(f, showUpcomingDaysInList) {
     };
   }
 
+  if (status === "dates tba") {
+    return {
+      type: "status",
+      variant: "tba",
+      text: "TBA",
+      ariaLabel: "Status: Dates TBA",
+    };
+  }
+
   if (status === "inactive") {
     return {
       type: "status",
@@ -214,13 +325,79 @@ function getListIndicatorData(f, showUpcomingDaysInList) {
   return null;
 }
 
-function sortFestivals(items, sortMode) {
+function compareByDistance(a, b) {
+  // Without a location every row lacks distance, which falls back to name order.
+  if (!hasDistance(a) && !hasDistance(b)) return compareByName(a, b);
+  if (!hasDistance(a)) return 1;
+  if (!hasDistance(b)) return -1;
+
+  const diff = a.distanceKm - b.distanceKm;
+  return diff !== 0 ? diff : compareByName(a, b);
+}
+
+const FESTIVAL_COMPARATORS = {
+  name: compareByName,
+  startDate: compareByStartDate,
+  distance: compareByDistance,
+};
+
+/**
+ * @param {Festival[]} items
+ * @param {string} sortMode
+ * @param {Map<string, { score: number }>|null=} searchMatches Scores for the
+ *   "relevance" mode, which falls back to name order without a query.
+ */
+function sortFestivals(items, sortMode, searchMatches = null) {
   const copy = [...items];
-  copy.sort(sortMode === "startDate" ? compareByStartDate : compareByName);
+  if (sortMode === "relevance" && searchMatches) {
+    const score = (f) => searchMatches.get(String(f.id))?.score ?? 0;
+    return copy.sort((a, b) => score(b) - score(a) || compareByName(a, b));
+  }
+  copy.sort(FESTIVAL_COMPARATORS[sortMode] ?? compareByName);
   return copy;
 }
 
-function sortGroupKeys(groupKeys, groupMode) {
+/**
+ * @param {string[]} groupKeys
+ * @param {string} groupMode
+ * @param {Map<string, Festival[]>} grouped Festivals under each key.
+ */
+function sortGroupKeys(groupKeys, groupMode, grouped) {
+  if (groupMode === "favorites") {
+    // Starred fairs are pinned in the top section.
+    return groupKeys.sort(
+      (a, b) =>
+        Number(b === FAVORITES_GROUP_LABEL) -
+        Number(a === FAVORITES_GROUP_LABEL),
+    );
+  }
+
+  if (groupMode === "distance") {
+    // Nearest band first; unknown distance sorts last.
+    const bandOrder = getDistanceBandLabels();
+    const rank = (key) => {
+      const index = bandOrder.indexOf(key);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    return groupKeys.sort((a, b) => rank(a) - rank(b));
+  }
+
+  if (groupMode === "month") {
+    // Chronological; undated festivals sort last.
+    const monthKey = (key) =>
+      getStartMonthKey(grouped.get(key)?.[0]) ?? "9999-99";
+    return groupKeys.sort((a, b) => monthKey(a).localeCompare(monthKey(b)));
+  }
+
+  if (groupMode === "region") {
+    const regionOrder = CENSUS_REGIONS.map(([region]) => region);
+    const rank = (key) => {
+      const index = regionOrder.indexOf(key);
+      return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    return groupKeys.sort((a, b) => rank(a) - rank(b));
+  }
+
   if (groupMode !== "status") {
     return groupKeys.sort((a, b) =>
       a.localeCompare(b, undefined, { sensitivity: "base" }),
@@ -230,8 +407,9 @@ function sortGroupKeys(groupKeys, groupMode) {
   const statusOrder = new Map([
     ["active", 0],
     ["upcoming", 1],
-    ["inactive", 2],
-    ["discontinued", 3],
+    ["dates tba", 2],
+    ["inactive", 3],
+    ["discontinued", 4],
   ]);
 
   return groupKeys.sort((a, b) => {
@@ -244,16 +422,50 @@ function sortGroupKeys(groupKeys, groupMode) {
   });
 }
 
-function formatDateRange(f) {
+function formatDateSpan(start, end) {
   const opts = { month: "short", day: "numeric", year: "numeric" };
-  const start = parseDate(f.dateBegin);
-  const end = parseDate(f.dateEnd);
   if (start && end) {
     return `${start.toLocaleDateString(undefined, opts)} - ${end.toLocaleDateString(undefined, opts)}`;
   }
   if (start) return start.toLocaleDateString(undefined, opts);
   if (end) return end.toLocaleDateString(undefined, opts);
-  return "Not available";
+  return null;
+}
+
+/**
+ * Compact "Oct 4 - Nov 23" label for YYYY-MM-DD keys.
+ * @param {string} startKey
+ * @param {string=} endKey
+ */
+function formatShortDateRange(startKey, endKey) {
+  const opts = { month: "short", day: "numeric" };
+  const start = parseDate(startKey);
+  const end = parseDate(endKey);
+  if (!start) return "";
+  const startText = start.toLocaleDateString(undefined, opts);
+  if (!end || endKey === startKey) return startText;
+  return `${startText} - ${end.toLocaleDateString(undefined, opts)}`;
+}
+
+/**
+ * @param {Festival} f
+ * @param {Date=} now
+ */
+function formatDateRange(f, now = new Date()) {
+  if (f.datesTba) {
+    return f.editionYear ? `${f.editionYear} dates TBA` : "Dates TBA";
+  }
+  const operatingDays = getFestivalOperatingDays(f);
+  const span = operatingDays
+    ? formatDateSpan(
+        parseDate(operatingDays[0].date),
+        parseDate(operatingDays[operatingDays.length - 1].date),
+      )
+    : formatDateSpan(parseDate(f.dateBegin), parseDate(f.dateEnd));
+  if (!span) return "Not available";
+
+  const openDayLabel = getFestivalOpenDayLabel(f, now);
+  return openDayLabel ? `${span} \u00B7 ${openDayLabel}` : span;
 }
 
 function formatTime(value) {
@@ -268,9 +480,38 @@ function formatTime(value) {
   return `${hours12}:${minutes} ${ampm}`;
 }
 
-function formatTimeRange(f) {
-  const start = formatTime(f.timeBegin);
-  const end = formatTime(f.timeEnd);
+function parseTimeOfDayHours(value) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(value ?? ""));
+  if (!m) return null;
+  const hours = Number(m[1]) + Number(m[2]) / 60;
+  return hours >= 0 && hours <= 24 ? hours : null;
+}
+
+/**
+ * Opening hours on a given date as fractional hours (10:30 -> 10.5).
+ * @param {Festival} f
+ * @param {string|null|undefined} dateKey YYYY-MM-DD
+ * @returns {{ startHour: number, endHour: number }|null}
+ */
+function getFestivalOpenHourWindow(f, dateKey) {
+  const operatingDay =
+    getFestivalOperatingDays(f)?.find((day) => day.date === dateKey) ?? null;
+  const hours = operatingDay ?? f;
+  const startHour = parseTimeOfDayHours(hours?.timeBegin);
+  const endHour = parseTimeOfDayHours(hours?.timeEnd);
+  if (startHour == null || endHour == null || endHour <= startHour) return null;
+  return { startHour, endHour };
+}
+
+/**
+ * Scheduled festivals report the hours of the next open day.
+ * @param {Festival} f
+ * @param {Date=} now
+ */
+function formatTimeRange(f, now = new Date()) {
+  const hours = getNextOperatingDay(f, now) ?? f;
+  const start = formatTime(hours.timeBegin);
+  const end = formatTime(hours.timeEnd);
   if (start && end) return `${start} - ${end}`;
   if (start) return start;
   if (end) return end;
@@ -285,6 +526,17 @@ function formatAttendance(value) {
   return String(value);
 }
 
+/**
+ * Numeric attendance from a number or a display string like "60,000+".
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}
+ */
+function parseAttendanceCount(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const digits = String(value ?? "").replace(/[^\d]/g, "");
+  return digits ? Number(digits) : null;
+}
+
 function getEstablishedYear(value) {
   if (typeof value === "number" && Number.isFinite(value)) {
     const year = Math.trunc(value);
@@ -390,16 +642,27 @@ export {
   setImageWithFallback,
   normalize,
   parseDate,
+  getFestivalOperatingDays,
+  getNextOperatingDay,
   getDerivedFestivalStatus,
   getDaysUntilFestivalStart,
+  withDerivedFestivalDates,
+  getFestivalOpenDayLabel,
+  isFestivalOpenOnDate,
+  getFestivalUpcomingRun,
+  getFestivalOpenHourWindow,
   formatLastUpdated,
+  formatFestivalDistance,
   getGroupKey,
   getListIndicatorData,
   sortFestivals,
   sortGroupKeys,
+  formatShortDateRange,
   formatDateRange,
+  formatTime,
   formatTimeRange,
   formatAttendance,
+  parseAttendanceCount,
   getEstablishedYear,
   buildDirectionsHref,
   getSocialEntries,
@@ -0,0 +1,286 @@
+// @ts-check
+
+// Facet filters for the festival list: status/state multi-select, date window,
+// minimum attendance and established year. Pure helpers; main.js owns the state.
+/** @typedef {import("../types.js").Festival} Festival */
+import {
+  normalize,
+  getEstablishedYear,
+  parseAttendanceCount,
+} from "./festival-utils.js";
+import { isFestivalOpenBetween } from "./festival-dates.js";
+
+/**
+ * @typedef {Object} FestivalFilters
+ * @property {string[]} statuses
+ * @property {string[]} states
+ * @property {string|null} dateFrom YYYY-MM-DD
+ * @property {string|null} dateTo YYYY-MM-DD
+ * @property {number|null} minAttendance
+ * @property {number|null} establishedAfter
+ * @property {number|null} establishedBefore
+ */
+
+/** @typedef {"status"|"state"|"date"|"attendance"|"established"} FilterFacet */
+
+/**
+ * @typedef {Object} FilterChip
+ * @property {FilterFacet} facet
+ * @property {string|null} value
+ * @property {string} label
+ */
+
+const ATTENDANCE_THRESHOLDS = Object.freeze([10000, 50000, 100000, 200000]);
+
+/** @returns {FestivalFilters} */
+function createEmptyFilters() {
+  return {
+    statuses: [],
+    states: [],
+    dateFrom: null,
+    dateTo: null,
+    minAttendance: null,
+    establishedAfter: null,
+    establishedBefore: null,
+  };
+}
+
+/** @param {FestivalFilters} filters */
+function hasActiveFilters(filters) {
+  return getFilterChips(filters).length > 0;
+}
+
+function getFestivalStatusLabel(f) {
+  return String(f?.status ?? "").trim() || "Unknown";
+}
+
+function getFestivalStateLabel(f) {
+  return f?.stateName || f?.state || "Unknown";
+}
+
+function getFestivalAttendanceCount(f) {
+  return parseAttendanceCount(f?.attendance);
+}
+
+/**
+ * @param {Festival} f
+ * @param {FestivalFilters} filters
+ * @param {FilterFacet=} skipFacet Facet to ignore, used for faceted counts.
+ */
+function matchesFilters(f, filters, skipFacet) {
+  if (skipFacet !== "status" && filters.statuses.length > 0) {
+    if (!filters.statuses.includes(getFestivalStatusLabel(f))) return false;
+  }
+
+  if (skipFacet !== "state" && filters.states.length > 0) {
+    if (!filters.states.includes(getFestivalStateLabel(f))) return false;
+  }
+
+  if (skipFacet !== "date" && (filters.dateFrom || filters.dateTo)) {
+    if (!isFestivalOpenBetween(f, filters.dateFrom, filters.dateTo)) {
+      return false;
+    }
+  }
+
+  if (skipFacet !== "attendance" && filters.minAttendance != null) {
+    const attendance = getFestivalAttendanceCount(f);
+    if (attendance == null || attendance < filters.minAttendance) return false;
+  }
+
+  if (
+    skipFacet !== "established" &&
+    (filters.establishedAfter != null || filters.establishedBefore != null)
+  ) {
+    const year = getEstablishedYear(f?.established);
+    if (year == null) return false;
+    if (filters.establishedAfter != null && year < filters.establishedAfter) {
+      return false;
+    }
+    if (filters.establishedBefore != null && year > filters.establishedBefore) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function countOptions(items, getLabel) {
+  const counts = new Map();
+  for (const f of items) {
+    const label = getLabel(f);
+    counts.set(label, (counts.get(label) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Faceted counts: each facet is counted against every other active filter, so
+ * the numbers show what selecting an option would yield.
+ * @param {Festival[]} items
+ * @param {FestivalFilters} filters
+ */
+function getFacetCounts(items, filters) {
+  const without = (facet) =>
+    items.filter((f) => matchesFilters(f, filters, facet));
+  const attendanceBase = without("attendance");
+
+  return {
+    status: countOptions(without("status"), getFestivalStatusLabel),
+    state: countOptions(without("state"), getFestivalStateLabel),
+    date: items.filter((f) => matchesFilters(f, filters)).length,
+    attendance: new Map(
+      ATTENDANCE_THRESHOLDS.map((threshold) => [
+        threshold,
+        attendanceBase.filter(
+          (f) => (getFestivalAttendanceCount(f) ?? -1) >= threshold,
+        ).length,
+      ]),
+    ),
+    established: without("established").filter(
+      (f) => getEstablishedYear(f?.established) != null,
+    ).length,
+  };
+}
+
+function formatFilterDate(dateKey) {
+  const match = String(dateKey ?? "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return String(dateKey ?? "");
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3]),
+  );
+  return date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * @param {FestivalFilters} filters
+ * @returns {FilterChip[]}
+ */
+function getFilterChips(filters) {
+  /** @type {FilterChip[]} */
+  const chips = [];
+  for (const status of filters.statuses) {
+    chips.push({ facet: "status", value: status, label: status });
+  }
+  for (const state of filters.states) {
+    chips.push({ facet: "state", value: state, label: state });
+  }
+
+  if (filters.dateFrom && filters.dateTo) {
+    chips.push({
+      facet: "date",
+      value: null,
+      label: `${formatFilterDate(filters.dateFrom)} – ${formatFilterDate(filters.dateTo)}`,
+    });
+  } else if (filters.dateFrom) {
+    chips.push({
+      facet: "date",
+      value: null,
+      label: `From ${formatFilterDate(filters.dateFrom)}`,
+    });
+  } else if (filters.dateTo) {
+    chips.push({
+      facet: "date",
+      value: null,
+      label: `Until ${formatFilterDate(filters.dateTo)}`,
+    });
+  }
+
+  if (filters.minAttendance != null) {
+    chips.push({
+      facet: "attendance",
+      value: null,
+      label: `${filters.minAttendance.toLocaleString()}+ attendance`,
+    });
+  }
+
+  const { establishedAfter: after, establishedBefore: before } = filters;
+  if (after != null || before != null) {
+    let label = `Est. ${after}–${before}`;
+    if (before == null) label = `Est. ${after} or later`;
+    else if (after == null) label = `Est. ${before} or earlier`;
+    chips.push({ facet: "established", value: null, label });
+  }
+
+  return chips;
+}
+
+/**
+ * @param {FestivalFilters} filters
+ * @param {FilterChip} chip
+ * @returns {FestivalFilters}
+ */
+function removeFilterChip(filters, chip) {
+  const next = { ...filters };
+  if (chip.facet === "status") {
+    next.statuses = filters.statuses.filter((value) => value !== chip.value);
+  } else if (chip.facet === "state") {
+    next.states = filters.states.filter((value) => value !== chip.value);
+  } else if (chip.facet === "date") {
+    next.dateFrom = null;
+    next.dateTo = null;
+  } else if (chip.facet === "attendance") {
+    next.minAttendance = null;
+  } else if (chip.facet === "established") {
+    next.establishedAfter = null;
+    next.establishedBefore = null;
+  }
+  return next;
+}
+
+/**
+ * Set the date window, swapping an inverted range so it still matches the
+ * days between the two dates instead of nothing.
+ * @param {FestivalFilters} filters
+ * @param {string|null} dateFrom
+ * @param {string|null} dateTo
+ * @returns {FestivalFilters}
+ */
+function withFilterDateRange(filters, dateFrom, dateTo) {
+  if (dateFrom && dateTo && dateTo < dateFrom) {
+    return { ...filters, dateFrom: dateTo, dateTo: dateFrom };
+  }
+  return { ...filters, dateFrom, dateTo };
+}
+
+/**
+ * Ordered facet options for the status/state lists.
+ * @param {Festival[]} items
+ */
+function getFilterOptions(items) {
+  const statusOrder = [
+    "active",
+    "upcoming",
+    "dates tba",
+    "inactive",
+    "discontinued",
+  ];
+  const rankStatus = (label) => {
+    const index = statusOrder.indexOf(normalize(label).trim());
+    return index === -1 ? statusOrder.length : index;
+  };
+  const statuses = Array.from(new Set(items.map(getFestivalStatusLabel))).sort(
+    (a, b) => rankStatus(a) - rankStatus(b) || a.localeCompare(b),
+  );
+  const states = Array.from(new Set(items.map(getFestivalStateLabel))).sort(
+    (a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }),
+  );
+  return { statuses, states };
+}
+
+export {
+  ATTENDANCE_THRESHOLDS,
+  createEmptyFilters,
+  hasActiveFilters,
+  matchesFilters,
+  getFacetCounts,
+  getFilterChips,
+  removeFilterChip,
+  withFilterDateRange,
+  getFilterOptions,
+};
@@ -0,0 +1,25 @@
+// @ts-check
+
+// Great-circle distance. Kept free of DOM/config globals so the API worker can
+// share it with the browser app.
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Straight-line (great-circle) distance in kilometers.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ */
+function getDistanceKm(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) *
+      Math.cos(toRad(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export { getDistanceKm };
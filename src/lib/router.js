@@ -0,0 +1,65 @@
+// @ts-check
+
+// URL state helpers: map selection/search/group/sort state to shareable query strings.
+
+/**
+ * @typedef {Object} RouteState
+ * @property {string|null} festivalId
+ * @property {string} query
+ * @property {string|null} group
+ * @property {string|null} sort
+ */
+
+const ROUTE_PARAMS = Object.freeze({
+  festival: "festival",
+  query: "q",
+  group: "group",
+  sort: "sort",
+});
+
+function readRouteParam(params, name) {
+  const value = String(params.get(name) ?? "").trim();
+  return value || null;
+}
+
+/**
+ * @param {Location|URL=} location
+ * @returns {RouteState}
+ */
+function parseRouteState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  return {
+    festivalId: readRouteParam(params, ROUTE_PARAMS.festival),
+    query: readRouteParam(params, ROUTE_PARAMS.query) ?? "",
+    group: readRouteParam(params, ROUTE_PARAMS.group),
+    sort: readRouteParam(params, ROUTE_PARAMS.sort),
+  };
+}
+
+/**
+ * Build a same-document URL for the given state. Null/empty values are omitted
+ * so default views keep a clean URL.
+ * @param {Partial<RouteState>} state
+ * @param {Location|URL=} location
+ */
+function buildRouteUrl(state, location = window.location) {
+  const params = new URLSearchParams();
+  const festivalId = String(state.festivalId ?? "").trim();
+  const query = String(state.query ?? "").trim();
+  const group = String(state.group ?? "").trim();
+  const sort = String(state.sort ?? "").trim();
+
+  if (festivalId) params.set(ROUTE_PARAMS.festival, festivalId);
+  if (query) params.set(ROUTE_PARAMS.query, query);
+  if (group) params.set(ROUTE_PARAMS.group, group);
+  if (sort) params.set(ROUTE_PARAMS.sort, sort);
+
+  const search = params.toString();
+  return `${location.pathname}${search ? `?${search}` : ""}${location.hash}`;
+}
+
+function getCurrentRouteUrl(location = window.location) {
+  return `${location.pathname}${location.search}${location.hash}`;
+}
+
+export { parseRouteState, buildRouteUrl, getCurrentRouteUrl };
@@ -0,0 +1,272 @@
+// @ts-check
+
+// Tokenized, typo-tolerant festival search. The index is built once per data
+// load; each query token must match some field (exactly, by prefix, or within a
+// small edit distance), and matches are weighted by field.
+/** @typedef {import("../types.js").Festival} Festival */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} score Higher is more relevant.
+ * @property {Set<string>} terms Folded index terms the query matched, for highlighting.
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {Festival[]} festivals
+ * @property {Map<string, Map<number, number>>} terms Term -> festival index -> best field weight.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+// Field weights: names and codes people type outrank words buried in prose.
+const SEARCH_FIELD_WEIGHTS = {
+  name: 10,
+  abbreviation: 9,
+  city: 6,
+  state: 6,
+  stateName: 6,
+  zip: 6,
+  themes: 4,
+  shows: 3,
+  address: 3,
+  status: 2,
+  description: 1,
+};
+const EXACT_MATCH_QUALITY = 1;
+const PREFIX_MATCH_QUALITY = 0.75;
+const FUZZY_MATCH_QUALITY = [0.55, 0.35];
+// Query words that would otherwise exclude most names ("faire of the ...").
+const STOP_WORDS = new Set(["a", "and", "at", "in", "of", "the"]);
+// Shorthand fans use for the full words in festival names.
+const QUERY_ALIASES = new Map([
+  ["renfest", ["renaissance", "festival"]],
+  ["renfaire", ["renaissance", "faire"]],
+  ["renfair", ["renaissance", "faire"]],
+  ["rennfest", ["renaissance", "festival"]],
+]);
+
+/**
+ * Lowercase and strip diacritics so "Faire" and "faïre" index alike.
+ * @param {string} token
+ */
+function foldToken(token) {
+  return token.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function tokenize(value) {
+  return Array.from(String(value ?? "").matchAll(TOKEN_PATTERN), (match) =>
+    foldToken(match[0]),
+  );
+}
+
+/**
+ * Searchable text per field. Theme and show entries cover the schedule-level
+ * fields, so new ones are picked up without touching the scorer.
+ * @param {Festival} f
+ */
+function getSearchFields(f) {
+  const themes = Array.isArray(f.themes) ? f.themes : [];
+  const shows = Array.isArray(f.shows) ? f.shows : [];
+  return {
+    name: f.name,
+    abbreviation: f.abbreviation,
+    city: f.city,
+    state: f.state,
+    stateName: f.stateName,
+    zip: f.zip,
+    themes: themes.map((theme) => theme?.name),
+    shows: shows.map((show) => `${show?.name ?? ""} ${show?.stage ?? ""}`),
+    address: f.address,
+    status: f.status,
+    description: f.description,
+  };
+}
+
+/**
+ * @param {Festival[]} festivals
+ * @returns {SearchIndex}
+ */
+function buildSearchIndex(festivals) {
+  const terms = new Map();
+  festivals.forEach((f, index) => {
+    for (const [field, value] of Object.entries(getSearchFields(f))) {
+      const weight = SEARCH_FIELD_WEIGHTS[field];
+      const text = Array.isArray(value) ? value.join(" ") : value;
+      for (const term of tokenize(text)) {
+        if (!terms.has(term)) terms.set(term, new Map());
+        const postings = terms.get(term);
+        postings.set(index, Math.max(postings.get(index) ?? 0, weight));
+      }
+    }
+  });
+  return { festivals, terms };
+}
+
+/**
+ * Damerau-Levenshtein distance (transpositions count once, even next to other
+ * edits), capped at `maxDistance + 1`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ */
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  const infinity = a.length + b.length;
+  const lastRowByChar = new Map();
+  const d = Array.from({ length: a.length + 2 }, () =>
+    new Array(b.length + 2).fill(0),
+  );
+  d[0][0] = infinity;
+  for (let i = 0; i <= a.length; i += 1) {
+    d[i + 1][0] = infinity;
+    d[i + 1][1] = i;
+  }
+  for (let j = 0; j <= b.length; j += 1) {
+    d[0][j + 1] = infinity;
+    d[1][j + 1] = j;
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    let lastMatchColumn = 0;
+    for (let j = 1; j <= b.length; j += 1) {
+      const k = lastRowByChar.get(b[j - 1]) ?? 0;
+      const l = lastMatchColumn;
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      if (cost === 0) lastMatchColumn = j;
+      d[i + 1][j + 1] = Math.min(
+        d[i][j] + cost,
+        d[i + 1][j] + 1,
+        d[i][j + 1] + 1,
+        d[k][l] + (i - k - 1) + 1 + (j - l - 1),
+      );
+    }
+    lastRowByChar.set(a[i - 1], i);
+  }
+  return Math.min(d[a.length + 1][b.length + 1], maxDistance + 1);
+}
+
+/** Allowed typos grow with word length; short words must match as typed. */
+function getMaxEditDistance(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well one query token matches one index term, 0 when it doesn't.
+ * @param {string} token
+ * @param {string} term
+ * @param {boolean} allowTypos
+ */
+function getMatchQuality(token, term, allowTypos) {
+  if (term === token) return EXACT_MATCH_QUALITY;
+  if (token.length >= 2 && term.startsWith(token)) return PREFIX_MATCH_QUALITY;
+  if (!allowTypos) return 0;
+  const maxDistance = getMaxEditDistance(token);
+  if (maxDistance === 0) return 0;
+  const distance = getEditDistance(token, term, maxDistance);
+  return distance <= maxDistance ? FUZZY_MATCH_QUALITY[distance - 1] : 0;
+}
+
+/**
+ * Query tokens to match, with aliases expanded and stop words dropped unless
+ * nothing else is left.
+ * @param {string} query
+ */
+function getQueryTokens(query) {
+  const tokens = tokenize(query).flatMap(
+    (token) => QUERY_ALIASES.get(token) ?? [token],
+  );
+  const meaningful = tokens.filter((token) => !STOP_WORDS.has(token));
+  return Array.from(new Set(meaningful.length > 0 ? meaningful : tokens));
+}
+
+/**
+ * Best-scoring match per festival for one query token.
+ * @param {SearchIndex} index
+ * @param {string} token
+ * @param {Map<number, unknown>|null} candidates Festivals still in the running.
+ * @param {boolean} allowTypos
+ */
+function matchToken(index, token, candidates, allowTypos) {
+  /** @type {Map<number, { score: number, terms: Set<string> }>} */
+  const matches = new Map();
+  for (const [term, postings] of index.terms) {
+    const quality = getMatchQuality(token, term, allowTypos);
+    if (quality === 0) continue;
+    for (const [festivalIndex, weight] of postings) {
+      if (candidates && !candidates.has(festivalIndex)) continue;
+      const match = matches.get(festivalIndex) ?? {
+        score: 0,
+        terms: new Set(),
+      };
+      match.score = Math.max(match.score, weight * quality);
+      match.terms.add(term);
+      matches.set(festivalIndex, match);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Matching festivals keyed by id. Festivals missing any query token are left
+ * out. Returns null for a blank query.
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {Map<string, SearchMatch>|null}
+ */
+function searchFestivals(index, query) {
+  const tokens = getQueryTokens(query);
+  if (tokens.length === 0) return null;
+
+  /** @type {Map<number, { score: number, terms: Set<string> }>|null} */
+  let candidates = null;
+  for (const token of tokens) {
+    // Typo matches are only tried when nothing matches as typed, so "fair"
+    // doesn't also pull in every description mentioning "hair".
+    let tokenMatches = matchToken(index, token, candidates, false);
+    if (tokenMatches.size === 0) {
+      tokenMatches = matchToken(index, token, candidates, true);
+    }
+
+    const next = new Map();
+    for (const [festivalIndex, match] of tokenMatches) {
+      const previous = candidates?.get(festivalIndex);
+      next.set(festivalIndex, {
+        score: (previous?.score ?? 0) + match.score,
+        terms: new Set([...(previous?.terms ?? []), ...match.terms]),
+      });
+    }
+    candidates = next;
+    if (candidates.size === 0) break;
+  }
+
+  const results = new Map();
+  for (const [festivalIndex, match] of candidates ?? []) {
+    results.set(String(index.festivals[festivalIndex].id), match);
+  }
+  return results;
+}
+
+/**
+ * Character ranges of words in `text` whose folded form was matched.
+ * @param {string} text
+ * @param {Set<string>|null|undefined} terms
+ * @returns {{ start: number, end: number }[]}
+ */
+function getSearchHighlightRanges(text, terms) {
+  if (!terms || terms.size === 0) return [];
+  const ranges = [];
+  for (const match of String(text ?? "").matchAll(TOKEN_PATTERN)) {
+    if (!terms.has(foldToken(match[0]))) continue;
+    const start = match.index ?? 0;
+    ranges.push({ start, end: start + match[0].length });
+  }
+  return ranges;
+}
+
+export { buildSearchIndex, searchFestivals, getSearchHighlightRanges };
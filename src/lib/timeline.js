@@ -0,0 +1,223 @@
+// @ts-check
+
+// Month-by-month season layout for the timeline view. Pure helpers; main.js
+// renders the rows and owns selection.
+/** @typedef {import("../types.js").Festival} Festival */
+import { getFestivalOperatingDays, toLocalDateKey } from "./festival-dates.js";
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Open days at most this far apart share a bar, so weekend-only seasons read as
+// one run while a mid-season break still splits it.
+const MAX_RUN_GAP_DAYS = 7;
+
+/**
+ * @typedef {Object} TimelineMonth
+ * @property {string} key YYYY-MM
+ * @property {string} label Short month name, e.g. "Oct".
+ * @property {number} dayCount
+ */
+
+/**
+ * @typedef {Object} TimelineRange
+ * @property {string} startKey First day shown, YYYY-MM-DD.
+ * @property {string} endKey Last day shown, YYYY-MM-DD.
+ * @property {number} dayCount
+ * @property {TimelineMonth[]} months
+ */
+
+/**
+ * @typedef {Object} TimelineBar
+ * @property {string} startKey
+ * @property {string} endKey
+ * @property {number} left Offset from the range start, 0-1.
+ * @property {number} width Share of the range, 0-1.
+ * @property {boolean} isClippedStart The run began before the range.
+ * @property {boolean} isClippedEnd The run continues past the range.
+ * @property {boolean} isPast The run ended before today.
+ */
+
+/**
+ * @typedef {Object} TimelineRow
+ * @property {Festival} festival
+ * @property {TimelineBar[]} bars
+ */
+
+function toDayNumber(dateKey) {
+  const match = DATE_KEY_PATTERN.exec(String(dateKey ?? ""));
+  if (!match) return null;
+  return (
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS
+  );
+}
+
+function toDateKey(value) {
+  return String(value ?? "").slice(0, 10);
+}
+
+/**
+ * January through December of one season.
+ * @param {number} year
+ * @returns {TimelineRange}
+ */
+function getTimelineRange(year) {
+  const months = [];
+  for (let month = 0; month < 12; month += 1) {
+    months.push({
+      key: `${year}-${String(month + 1).padStart(2, "0")}`,
+      label: new Date(year, month, 1).toLocaleDateString(undefined, {
+        month: "short",
+      }),
+      dayCount: new Date(year, month + 1, 0).getDate(),
+    });
+  }
+
+  return {
+    startKey: `${year}-01-01`,
+    endKey: `${year}-12-31`,
+    dayCount: months.reduce((total, month) => total + month.dayCount, 0),
+    months,
+  };
+}
+
+/**
+ * Seasons with at least one run, oldest first.
+ * @param {Festival[]} items
+ * @returns {number[]}
+ */
+function getTimelineYears(items) {
+  const years = new Set();
+  for (const f of items) {
+    for (const run of getFestivalTimelineRuns(f)) {
+      const startYear = Number(run.startKey.slice(0, 4));
+      const endYear = Number(run.endKey.slice(0, 4));
+      for (let year = startYear; year <= endYear; year += 1) years.add(year);
+    }
+  }
+  return Array.from(years).sort((a, b) => a - b);
+}
+
+/**
+ * @param {Festival|import("../types.js").FestivalEdition} span
+ * @returns {{ startKey: string, endKey: string }[]}
+ */
+function getDateSpanRuns(span) {
+  const operatingDays = getFestivalOperatingDays(span);
+  if (!operatingDays) {
+    const startKey = toDateKey(span.dateBegin ?? span.startDate);
+    const endKey = toDateKey(span.dateEnd ?? span.endDate) || startKey;
+    const start = toDayNumber(startKey);
+    const end = toDayNumber(endKey);
+    if (start == null || end == null || end < start) return [];
+    return [{ startKey, endKey }];
+  }
+
+  const runs = [];
+  let lastDay = null;
+  for (const day of operatingDays) {
+    const dayNumber = toDayNumber(day.date);
+    if (dayNumber == null) continue;
+    const last = runs[runs.length - 1];
+    if (last && lastDay != null && dayNumber - lastDay <= MAX_RUN_GAP_DAYS) {
+      last.endKey = day.date;
+    } else {
+      runs.push({ startKey: day.date, endKey: day.date });
+    }
+    lastDay = dayNumber;
+  }
+  return runs;
+}
+
+/**
+ * Date spans a festival is running, including finished editions. Scheduled
+ * records split where open days are more than a week apart; unscheduled ones
+ * span dateBegin to dateEnd.
+ * @param {Festival} f
+ * @returns {{ startKey: string, endKey: string }[]}
+ */
+function getFestivalTimelineRuns(f) {
+  const runs = !f || f.datesTba ? [] : getDateSpanRuns(f);
+  for (const edition of Array.isArray(f?.pastEditions) ? f.pastEditions : []) {
+    runs.push(...getDateSpanRuns(edition));
+  }
+  return runs.sort((a, b) => a.startKey.localeCompare(b.startKey));
+}
+
+/**
+ * Bars for the runs that overlap the range, clipped to its edges.
+ * @param {Festival} f
+ * @param {TimelineRange} range
+ * @param {string} todayKey
+ * @returns {TimelineBar[]}
+ */
+function getFestivalTimelineBars(f, range, todayKey) {
+  const rangeStart = toDayNumber(range.startKey);
+  const rangeEnd = toDayNumber(range.endKey);
+  if (rangeStart == null || rangeEnd == null) return [];
+
+  const bars = [];
+  for (const run of getFestivalTimelineRuns(f)) {
+    const start = toDayNumber(run.startKey);
+    const end = toDayNumber(run.endKey);
+    if (start == null || end == null || end < rangeStart || start > rangeEnd) {
+      continue;
+    }
+    const clippedStart = Math.max(start, rangeStart);
+    const clippedEnd = Math.min(end, rangeEnd);
+    bars.push({
+      startKey: run.startKey,
+      endKey: run.endKey,
+      left: (clippedStart - rangeStart) / range.dayCount,
+      width: (clippedEnd - clippedStart + 1) / range.dayCount,
+      isClippedStart: start < rangeStart,
+      isClippedEnd: end > rangeEnd,
+      isPast: run.endKey < todayKey,
+    });
+  }
+  return bars;
+}
+
+/**
+ * Festivals with at least one run in the range, ordered by first run.
+ * @param {Festival[]} items
+ * @param {TimelineRange} range
+ * @param {Date=} now
+ * @returns {TimelineRow[]}
+ */
+function getTimelineRows(items, range, now = new Date()) {
+  const todayKey = toLocalDateKey(now);
+  return items
+    .map((festival) => ({
+      festival,
+      bars: getFestivalTimelineBars(festival, range, todayKey),
+    }))
+    .filter((row) => row.bars.length > 0)
+    .sort(
+      (a, b) =>
+        a.bars[0].left - b.bars[0].left ||
+        String(a.festival.name ?? "").localeCompare(
+          String(b.festival.name ?? ""),
+        ),
+    );
+}
+
+/**
+ * Position of today within the range, 0-1, or null when outside it.
+ * @param {TimelineRange} range
+ * @param {Date=} now
+ */
+function getTimelineTodayOffset(range, now = new Date()) {
+  const today = toDayNumber(toLocalDateKey(now));
+  const rangeStart = toDayNumber(range.startKey);
+  if (today == null || rangeStart == null) return null;
+  const offset = (today - rangeStart + 0.5) / range.dayCount;
+  return offset >= 0 && offset <= 1 ? offset : null;
+}
+
+export {
+  getTimelineRange,
+  getTimelineYears,
+  getFestivalTimelineRuns,
+  getTimelineRows,
+  getTimelineTodayOffset,
+};
@@ -0,0 +1,93 @@
+// @ts-check
+
+// Measurement unit preference plus formatters for temperature, wind, precipitation and distance.
+// Inputs are metric (WeatherKit's native units); output follows the active unit system.
+
+/** @typedef {"imperial"|"metric"} UnitSystem */
+
+// Regions that still default to imperial units.
+const IMPERIAL_REGIONS = new Set(["US", "LR", "MM"]);
+
+/** @type {UnitSystem} */
+let activeUnitSystem = getLocaleDefaultUnitSystem();
+
+function getLocaleRegion(locale) {
+  try {
+    return new Intl.Locale(locale).maximize().region ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @param {readonly string[]=} locales
+ * @returns {UnitSystem}
+ */
+function getLocaleDefaultUnitSystem(locales = window.navigator?.languages) {
+  const candidates =
+    Array.isArray(locales) && locales.length > 0
+      ? locales
+      : [window.navigator?.language ?? "en-US"];
+  const region = getLocaleRegion(candidates[0]);
+  if (!region) return "imperial";
+  return IMPERIAL_REGIONS.has(region) ? "imperial" : "metric";
+}
+
+/** @returns {value is UnitSystem} */
+function isUnitSystem(value) {
+  return value === "imperial" || value === "metric";
+}
+
+/** @returns {UnitSystem} */
+function getUnitSystem() {
+  return activeUnitSystem;
+}
+
+function setUnitSystem(value) {
+  if (isUnitSystem(value)) activeUnitSystem = value;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function formatTemperatureFromCelsius(celsius) {
+  if (!isFiniteNumber(celsius)) return "--";
+  const value =
+    activeUnitSystem === "metric" ? celsius : (celsius * 9) / 5 + 32;
+  return `${Math.round(value)}\u00B0`;
+}
+
+function formatWindSpeedFromKmh(kmh) {
+  if (!isFiniteNumber(kmh)) return "--";
+  if (activeUnitSystem === "metric") return `${Math.round(kmh)} km/h`;
+  return `${Math.round(kmh * 0.621371)} mph`;
+}
+
+function formatPrecipitationFromMm(mm) {
+  if (!isFiniteNumber(mm)) return "--";
+  if (activeUnitSystem === "metric") {
+    return `${mm < 10 ? mm.toFixed(1) : Math.round(mm)} mm`;
+  }
+  const inches = mm / 25.4;
+  return `${inches < 1 ? inches.toFixed(2) : inches.toFixed(1)} in`;
+}
+
+function formatDistanceFromKm(km) {
+  if (!isFiniteNumber(km)) return "--";
+  const value = activeUnitSystem === "metric" ? km : km * 0.621371;
+  const unit = activeUnitSystem === "metric" ? "km" : "mi";
+  const rounded = value < 10 ? Math.round(value * 10) / 10 : Math.round(value);
+  return `${rounded.toLocaleString()} ${unit}`;
+}
+
+export {
+  getLocaleDefaultUnitSystem,
+  isUnitSystem,
+  getUnitSystem,
+  setUnitSystem,
+  formatTemperatureFromCelsius,
+  formatWindSpeedFromKmh,
+  formatPrecipitationFromMm,
+  formatDistanceFromKm,
+};
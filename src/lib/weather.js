@@ -2,8 +2,51 @@
 
 // Weather data utilities: resolve WeatherKit data through proxy (preferred) or direct fallback.
 /** @typedef {import("../types.js").WeatherForecast} WeatherForecast */
-
+/** @typedef {import("../types.js").WeatherClimateSummary} WeatherClimateSummary */
+/** @typedef {import("../types.js").WeatherAlert} WeatherAlert */
+/** @typedef {import("../types.js").WeatherDaySummary} WeatherDaySummary */
+import {
+  formatTemperatureFromCelsius,
+  formatWindSpeedFromKmh,
+  formatPrecipitationFromMm,
+} from "./units.js";
+
+// WeatherKit daily forecasts cover today plus the next 9 days.
+const WEATHER_FORECAST_HORIZON_DAYS = 10;
+const WEATHER_HOURLY_FORECAST_HOURS = WEATHER_FORECAST_HORIZON_DAYS * 24;
 const weatherForecastCache = new Map();
+const weatherClimateCache = new Map();
+const weatherAlertsCache = new Map();
+// Alerts change quickly, so cached lookups are refreshed after a few minutes.
+const WEATHER_ALERTS_TTL_MS = 5 * 60 * 1000;
+// List rows ask for summaries one by one as they scroll in; lookups made within
+// a short window go to the proxy as one batch (capped at the worker's limit).
+const WEATHER_SUMMARY_BATCH_DELAY_MS = 50;
+const WEATHER_SUMMARY_BATCH_MAX_POINTS = 20;
+const WEATHER_SUMMARY_TTL_MS = 30 * 60 * 1000;
+const weatherSummaryCache = new Map();
+let pendingWeatherSummaryLookups = [];
+let weatherSummaryFlushTimer = null;
+// Hourly timestamps are UTC and payloads carry no zone name. The location's
+// zone is the US zone (requests use `countryCode=US`) whose midnights line up
+// with every daily forecastStart, which also tells DST and non-DST zones apart.
+const WEATHER_TIME_ZONE_CANDIDATES = [
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Phoenix",
+  "America/Los_Angeles",
+  "America/Anchorage",
+  "Pacific/Honolulu",
+];
+const weatherTimeZoneFormatters = new Map();
+const WEATHER_ALERT_SEVERITY_RANK = new Map([
+  ["extreme", 0],
+  ["severe", 1],
+  ["moderate", 2],
+  ["minor", 3],
+  ["unknown", 4],
+]);
 
 function getWeatherKitToken() {
   const weatherToken = String(
@@ -87,6 +130,14 @@ function formatWeatherDayLabel(dateValue, index, firstDateValue = null) {
   return formatWeekdayFromParts(parts);
 }
 
+function formatWeatherDateKey(dateValue) {
+  const parts = parseIsoDateParts(dateValue);
+  if (!parts) return null;
+  const month = String(parts.month).padStart(2, "0");
+  const day = String(parts.day).padStart(2, "0");
+  return `${parts.year}-${month}-${day}`;
+}
+
 function formatWeatherDateLabel(dateValue) {
   const parts = parseIsoDateParts(dateValue);
   if (!parts) return "";
@@ -105,12 +156,33 @@ function isMetricWeatherUnits(units) {
   );
 }
 
+// Formatting happens at map time in the active unit system; raw payloads stay cached.
 function formatWeatherTemperature(value, units = null) {
   if (typeof value !== "number" || !Number.isFinite(value)) return "--";
-  const normalizedValue = isMetricWeatherUnits(units)
-    ? (value * 9) / 5 + 32
-    : value;
-  return `${Math.round(normalizedValue)}\u00B0`;
+  const celsius = isMetricWeatherUnits(units) ? value : ((value - 32) * 5) / 9;
+  return formatTemperatureFromCelsius(celsius);
+}
+
+function formatWeatherWindSpeed(value, units = null) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "--";
+  // Metric WeatherKit wind speeds are km/h.
+  const kmh = isMetricWeatherUnits(units) ? value : value / 0.621371;
+  return formatWindSpeedFromKmh(kmh);
+}
+
+function formatWeatherPrecipitationAmount(value, units = null) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  const mm = isMetricWeatherUnits(units) ? value : value * 25.4;
+  return formatPrecipitationFromMm(mm);
+}
+
+function formatWeatherHourLabel(hour) {
+  const hours24 = ((hour % 24) + 24) % 24;
+  const ampm = hours24 >= 12 ? "PM" : "AM";
+  const hours12 = ((hours24 + 11) % 12) + 1;
+  return `${hours12} ${ampm}`;
 }
 
 function parseWeatherPrecipChancePercent(value) {
@@ -180,6 +252,84 @@ function getWeatherConditionIconName(conditionCode, isDaylight = true) {
   return "cloud";
 }
 
+/** Local hour and minute of a timestamp in an IANA time zone. */
+function getZonedTime(ms, timeZone) {
+  let formatter = weatherTimeZoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    });
+    weatherTimeZoneFormatters.set(timeZone, formatter);
+  }
+  const parts = formatter.formatToParts(new Date(ms));
+  const getPart = (type) =>
+    Number(parts.find((part) => part.type === type)?.value);
+  return { hour: getPart("hour"), minute: getPart("minute") };
+}
+
+function resolveWeatherTimeZone(days) {
+  const dayStarts = days
+    .map((day) => Date.parse(String(day?.forecastStart ?? "")))
+    .filter(Number.isFinite);
+  if (dayStarts.length === 0) return null;
+  return (
+    WEATHER_TIME_ZONE_CANDIDATES.find((timeZone) =>
+      dayStarts.every((ms) => {
+        const { hour, minute } = getZonedTime(ms, timeZone);
+        return hour === 0 && minute === 0;
+      }),
+    ) ?? null
+  );
+}
+
+function mapWeatherDayHours(hours, day, units, timeZone = null) {
+  // Daily forecastStart is local midnight. Without a resolved zone, hour
+  // offsets from it stand in for local hours (off by one on DST days).
+  const dayStartMs = Date.parse(String(day?.forecastStart ?? ""));
+  if (!Number.isFinite(dayStartMs)) return [];
+  const parsedEndMs = Date.parse(String(day?.forecastEnd ?? ""));
+  const dayEndMs = Number.isFinite(parsedEndMs)
+    ? parsedEndMs
+    : dayStartMs + 86400000;
+
+  const dayHours = [];
+  for (const hour of hours) {
+    const startMs = Date.parse(String(hour?.forecastStart ?? ""));
+    if (!Number.isFinite(startMs)) continue;
+    if (startMs < dayStartMs || startMs >= dayEndMs) continue;
+
+    const localHour = timeZone
+      ? getZonedTime(startMs, timeZone).hour
+      : Math.floor((startMs - dayStartMs) / 3600000);
+    const uvIndex =
+      typeof hour?.uvIndex === "number" && Number.isFinite(hour.uvIndex)
+        ? Math.round(hour.uvIndex)
+        : null;
+    dayHours.push({
+      hour: localHour,
+      timeLabel: formatWeatherHourLabel(localHour),
+      icon: getWeatherConditionIconName(
+        hour?.conditionCode,
+        hour?.daylight !== false,
+      ),
+      temperature: formatWeatherTemperature(hour?.temperature, units),
+      precipChancePercent: parseWeatherPrecipChancePercent(
+        hour?.precipitationChance,
+      ),
+      precipAmount: formatWeatherPrecipitationAmount(
+        hour?.precipitationAmount,
+        units,
+      ),
+      wind: formatWeatherWindSpeed(hour?.windSpeed, units),
+      uvIndex,
+    });
+  }
+  return dayHours;
+}
+
 function mapWeatherPayload(payload) {
   const current = payload?.currentWeather ?? null;
   const forecastUnits =
@@ -187,8 +337,14 @@ function mapWeatherPayload(payload) {
     payload?.currentWeather?.metadata?.units ??
     null;
   const forecastDays = Array.isArray(payload?.forecastDaily?.days)
-    ? payload.forecastDaily.days.slice(0, 10)
+    ? payload.forecastDaily.days.slice(0, WEATHER_FORECAST_HORIZON_DAYS)
+    : [];
+  const forecastHours = Array.isArray(payload?.forecastHourly?.hours)
+    ? payload.forecastHourly.hours
     : [];
+  const hourlyUnits = payload?.forecastHourly?.metadata?.units ?? forecastUnits;
+  const timeZone =
+    forecastHours.length > 0 ? resolveWeatherTimeZone(forecastDays) : null;
   const firstForecastDate = forecastDays[0]?.forecastStart ?? null;
   const dailyRows = forecastDays.map((day, index) => {
     const daytimeForecast = day?.daytimeForecast ?? {};
@@ -219,10 +375,18 @@ function mapWeatherPayload(payload) {
         firstForecastDate,
       ),
       dateLabel: formatWeatherDateLabel(day?.forecastStart),
+      date: formatWeatherDateKey(day?.forecastStart),
       icon: iconName,
       tempHigh: formatWeatherTemperature(day?.temperatureMax, forecastUnits),
       tempLow: formatWeatherTemperature(day?.temperatureMin, forecastUnits),
       precipChancePercent: shouldShowPrecipChance ? precipChancePercent : null,
+      precipAmount: shouldShowPrecipChance
+        ? formatWeatherPrecipitationAmount(
+            day?.precipitationAmount,
+            forecastUnits,
+          )
+        : null,
+      hours: mapWeatherDayHours(forecastHours, day, hourlyUnits, timeZone),
     };
   });
 
@@ -232,8 +396,139 @@ function mapWeatherPayload(payload) {
   };
 }
 
-function buildWeatherProxyUrl(baseUrl, lat, lng) {
+/**
+ * @param {unknown} forecastDaily
+ * @returns {WeatherDaySummary[]}
+ */
+function mapWeatherSummaryPayload(forecastDaily) {
+  const units = forecastDaily?.metadata?.units ?? null;
+  const days = Array.isArray(forecastDaily?.days)
+    ? forecastDaily.days.slice(0, WEATHER_FORECAST_HORIZON_DAYS)
+    : [];
+  return days.map((day) => ({
+    date: formatWeatherDateKey(day?.forecastStart),
+    icon: getWeatherConditionIconName(day?.conditionCode, true),
+    tempHigh: formatWeatherTemperature(day?.temperatureMax, units),
+    tempLow: formatWeatherTemperature(day?.temperatureMin, units),
+    precipChancePercent: parseWeatherPrecipChancePercent(
+      day?.precipitationChance,
+    ),
+  }));
+}
+
+function mapClimatePayload(payload) {
+  const climate = payload?.climate ?? null;
+  if (!climate || !climate.metadata?.sampleDays) return null;
+  const units = climate.metadata?.units ?? null;
+  const precipChancePercent = parseWeatherPrecipChancePercent(
+    climate.precipitationChance,
+  );
+
+  return {
+    icon:
+      precipChancePercent != null && precipChancePercent >= 40
+        ? "cloud-rain"
+        : "cloud-sun",
+    tempHigh: formatWeatherTemperature(climate.temperatureMax, units),
+    tempLow: formatWeatherTemperature(climate.temperatureMin, units),
+    precipChancePercent,
+    precipAmount: formatWeatherPrecipitationAmount(
+      climate.precipitationAmount,
+      units,
+    ),
+    firstYear: climate.metadata?.firstYear ?? null,
+    lastYear: climate.metadata?.lastYear ?? null,
+  };
+}
+
+function formatWeatherAlertExpiry(endsAtMs) {
+  if (!Number.isFinite(endsAtMs)) return null;
+  const label = new Date(endsAtMs).toLocaleString(undefined, {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  return `Until ${label}`;
+}
+
+function mapWeatherAlertsPayload(payload, nowMs = Date.now()) {
+  const alerts = Array.isArray(payload?.weatherAlerts?.alerts)
+    ? payload.weatherAlerts.alerts
+    : [];
+
+  return alerts
+    .map((alert) => {
+      const rawSeverity = String(alert?.severity ?? "")
+        .trim()
+        .toLowerCase();
+      const severity = WEATHER_ALERT_SEVERITY_RANK.has(rawSeverity)
+        ? rawSeverity
+        : "unknown";
+      const endsAtMs = Date.parse(
+        String(alert?.eventEndTime ?? alert?.expireTime ?? ""),
+      );
+      return {
+        id: String(alert?.id ?? ""),
+        severity,
+        headline: String(alert?.description ?? "").trim() || "Weather alert",
+        areaName: String(alert?.areaName ?? "").trim() || null,
+        source: String(alert?.source ?? "").trim() || null,
+        detailsUrl: String(alert?.detailsUrl ?? "").trim() || null,
+        endsAt: Number.isFinite(endsAtMs)
+          ? new Date(endsAtMs).toISOString()
+          : null,
+        expiresLabel: formatWeatherAlertExpiry(endsAtMs),
+        endsAtMs,
+      };
+    })
+    .filter(
+      (alert) => !Number.isFinite(alert.endsAtMs) || alert.endsAtMs > nowMs,
+    )
+    .sort(
+      (a, b) =>
+        WEATHER_ALERT_SEVERITY_RANK.get(a.severity) -
+        WEATHER_ALERT_SEVERITY_RANK.get(b.severity),
+    )
+    .map(({ endsAtMs: _endsAtMs, ...alert }) => alert);
+}
+
+/**
+ * Seconds from a `Retry-After` header (delay or HTTP date), or null.
+ * @param {Response} response
+ */
+function getRetryAfterSeconds(response) {
+  const value = String(response.headers.get("Retry-After") ?? "").trim();
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  const retryAtMs = Date.parse(value);
+  if (!Number.isFinite(retryAtMs)) return null;
+  return Math.max(0, Math.ceil((retryAtMs - Date.now()) / 1000));
+}
+
+/**
+ * Error for a failed proxy response. The worker's request ID goes in the
+ * message so a reported failure can be found in the worker logs.
+ * @param {Response} response
+ * @param {string} label e.g. "Weather API request"
+ */
+function createProxyHttpError(response, label) {
+  const requestId = response.headers.get("X-Renfo-Request-Id") || null;
+  const err = new Error(
+    `${label} failed with status ${response.status}${requestId ? ` (request ${requestId})` : ""}.`,
+  );
+  err.code = "http_error";
+  err.status = response.status;
+  err.source = "proxy";
+  err.retryAfterSeconds = getRetryAfterSeconds(response);
+  err.requestId = requestId;
+  return err;
+}
+
+function buildWeatherProxyUrl(baseUrl, lat, lng, subpath = "") {
   const url = new URL(baseUrl, window.location.href);
+  if (subpath) {
+    url.pathname = `${url.pathname.replace(/\/+$/, "")}/${subpath}`;
+  }
   url.searchParams.set("lat", String(lat));
   url.searchParams.set("lng", String(lng));
   return url.toString();
@@ -242,26 +537,18 @@ function buildWeatherProxyUrl(baseUrl, lat, lng) {
 async function fetchWeatherForecast(lat, lng) {
   const proxyBaseUrl = getWeatherApiBaseUrl();
   // Preferred path for web: proxy keeps Apple signing credentials off the client.
+  // Its responses carry a max-age tied to WeatherKit's expiry, so the browser
+  // cache is allowed to answer repeat lookups.
   if (proxyBaseUrl) {
     const proxyResponse = await fetch(
       buildWeatherProxyUrl(proxyBaseUrl, lat, lng),
-      {
-        cache: "no-store",
-      },
     );
 
     if (!proxyResponse.ok) {
-      const proxyError = new Error(
-        `Weather API request failed with status ${proxyResponse.status}.`,
-      );
-      proxyError.code = "http_error";
-      proxyError.status = proxyResponse.status;
-      proxyError.source = "proxy";
-      throw proxyError;
+      throw createProxyHttpError(proxyResponse, "Weather API request");
     }
 
-    const proxyPayload = await proxyResponse.json();
-    return mapWeatherPayload(proxyPayload);
+    return proxyResponse.json();
   }
 
   const token = getWeatherKitToken();
@@ -272,7 +559,12 @@ async function fetchWeatherForecast(lat, lng) {
   }
 
   const path = `${encodeURIComponent(String(lat))}/${encodeURIComponent(String(lng))}`;
-  const url = `https://weatherkit.apple.com/api/v1/weather/en/${path}?dataSets=currentWeather,forecastDaily&timezone=auto&countryCode=US`;
+  const hourlyEnd = new Date(
+    Date.now() + WEATHER_HOURLY_FORECAST_HOURS * 3600000,
+  )
+    .toISOString()
+    .replace(/\.\d{3}Z$/, "Z");
+  const url = `https://weatherkit.apple.com/api/v1/weather/en/${path}?dataSets=currentWeather,forecastDaily,forecastHourly&hourlyEnd=${encodeURIComponent(hourlyEnd)}&timezone=auto&countryCode=US`;
 
   const response = await fetch(url, {
     headers: {
@@ -291,8 +583,7 @@ async function fetchWeatherForecast(lat, lng) {
     throw err;
   }
 
-  const payload = await response.json();
-  return mapWeatherPayload(payload);
+  return response.json();
 }
 
 /**
@@ -303,15 +594,245 @@ async function fetchWeatherForecast(lat, lng) {
 async function getWeatherForecast(lat, lng) {
   const key = getWeatherCacheKey(lat, lng);
   // Cache the in-flight promise so repeated requests for same location coalesce.
-  if (weatherForecastCache.has(key)) return weatherForecastCache.get(key);
+  if (!weatherForecastCache.has(key)) {
+    const promise = fetchWeatherForecast(lat, lng).catch((err) => {
+      // Failed calls should not stay cached.
+      weatherForecastCache.delete(key);
+      throw err;
+    });
+    weatherForecastCache.set(key, promise);
+  }
+
+  // Map on every read so unit preference changes apply to cached payloads.
+  return mapWeatherPayload(await weatherForecastCache.get(key));
+}
+
+/**
+ * @param {string} baseUrl
+ * @param {string[]} pointKeys `lat,lng` strings.
+ */
+function buildWeatherBatchUrl(baseUrl, pointKeys) {
+  const url = new URL(baseUrl, window.location.href);
+  url.pathname = `${url.pathname.replace(/\/+$/, "")}/batch`;
+  url.searchParams.set("points", pointKeys.join(";"));
+  return url.toString();
+}
+
+async function fetchWeatherSummaries(pointKeys) {
+  const response = await fetch(
+    buildWeatherBatchUrl(getWeatherApiBaseUrl(), pointKeys),
+  );
+
+  if (!response.ok) {
+    throw createProxyHttpError(response, "Weather batch request");
+  }
+
+  const payload = await response.json();
+  return Array.isArray(payload?.locations) ? payload.locations : [];
+}
+
+function flushWeatherSummaryLookups() {
+  weatherSummaryFlushTimer = null;
+  const lookups = pendingWeatherSummaryLookups;
+  pendingWeatherSummaryLookups = [];
+
+  for (
+    let start = 0;
+    start < lookups.length;
+    start += WEATHER_SUMMARY_BATCH_MAX_POINTS
+  ) {
+    const batch = lookups.slice(
+      start,
+      start + WEATHER_SUMMARY_BATCH_MAX_POINTS,
+    );
+    fetchWeatherSummaries(batch.map((lookup) => lookup.key)).then(
+      (locations) => {
+        batch.forEach((lookup, index) => {
+          const location = locations[index];
+          if (location?.forecastDaily) {
+            lookup.resolve(location.forecastDaily);
+            return;
+          }
+          const err = new Error(
+            `Weather summary unavailable (status ${location?.status ?? "unknown"}).`,
+          );
+          err.code = "http_error";
+          err.status = location?.status ?? null;
+          err.source = "proxy";
+          lookup.reject(err);
+        });
+      },
+      (err) => {
+        for (const lookup of batch) lookup.reject(err);
+      },
+    );
+  }
+}
+
+function queueWeatherSummaryLookup(key) {
+  // Batching is a proxy feature; there is no direct WeatherKit path.
+  if (!getWeatherApiBaseUrl()) {
+    const missingProxyError = new Error("Missing weather proxy configuration.");
+    missingProxyError.code = "missing_proxy";
+    return Promise.reject(missingProxyError);
+  }
+
+  return new Promise((resolve, reject) => {
+    pendingWeatherSummaryLookups.push({ key, resolve, reject });
+    if (
+      pendingWeatherSummaryLookups.length >= WEATHER_SUMMARY_BATCH_MAX_POINTS
+    ) {
+      clearTimeout(weatherSummaryFlushTimer);
+      flushWeatherSummaryLookups();
+    } else if (weatherSummaryFlushTimer == null) {
+      weatherSummaryFlushTimer = setTimeout(
+        flushWeatherSummaryLookups,
+        WEATHER_SUMMARY_BATCH_DELAY_MS,
+      );
+    }
+  });
+}
+
+/**
+ * Compact daily forecast for list rows. Lookups made together are batched into
+ * one proxy request; a full forecast already loaded for the spot is reused.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<WeatherDaySummary[]>}
+ */
+async function getWeatherSummary(lat, lng) {
+  const key = getWeatherCacheKey(lat, lng);
+  const cached = weatherSummaryCache.get(key);
+  if (!cached || Date.now() - cached.fetchedAt >= WEATHER_SUMMARY_TTL_MS) {
+    const forecast = weatherForecastCache.get(key);
+    const promise = (
+      forecast
+        ? forecast.then((payload) => payload?.forecastDaily ?? null)
+        : queueWeatherSummaryLookup(key)
+    ).catch((err) => {
+      weatherSummaryCache.delete(key);
+      throw err;
+    });
+    weatherSummaryCache.set(key, { promise, fetchedAt: Date.now() });
+  }
+
+  // Map on every read so unit preference changes apply to cached payloads.
+  return mapWeatherSummaryPayload(await weatherSummaryCache.get(key).promise);
+}
+
+async function fetchClimateSummary(lat, lng, startDateKey, endDateKey) {
+  const proxyBaseUrl = getWeatherApiBaseUrl();
+  // Climatology is only served by the proxy; there is no direct WeatherKit path.
+  if (!proxyBaseUrl) {
+    const missingProxyError = new Error("Missing weather proxy configuration.");
+    missingProxyError.code = "missing_proxy";
+    throw missingProxyError;
+  }
+
+  const url = new URL(buildWeatherProxyUrl(proxyBaseUrl, lat, lng, "climate"));
+  url.searchParams.set("start", startDateKey);
+  url.searchParams.set("end", endDateKey);
+  const response = await fetch(url.toString());
+
+  if (!response.ok) {
+    throw createProxyHttpError(response, "Climate API request");
+  }
+
+  return response.json();
+}
+
+/**
+ * Typical conditions for a calendar window, averaged over past years.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {string} startDateKey YYYY-MM-DD
+ * @param {string=} endDateKey YYYY-MM-DD
+ * @returns {Promise<WeatherClimateSummary|null>}
+ */
+async function getClimateSummary(lat, lng, startDateKey, endDateKey) {
+  const end = endDateKey || startDateKey;
+  const key = `${getWeatherCacheKey(lat, lng)}:${startDateKey}:${end}`;
+  if (!weatherClimateCache.has(key)) {
+    const promise = fetchClimateSummary(lat, lng, startDateKey, end).catch(
+      (err) => {
+        weatherClimateCache.delete(key);
+        throw err;
+      },
+    );
+    weatherClimateCache.set(key, promise);
+  }
+
+  return mapClimatePayload(await weatherClimateCache.get(key));
+}
+
+async function fetchWeatherAlerts(lat, lng) {
+  const proxyBaseUrl = getWeatherApiBaseUrl();
+  if (proxyBaseUrl) {
+    const proxyResponse = await fetch(
+      buildWeatherProxyUrl(proxyBaseUrl, lat, lng, "alerts"),
+    );
+
+    if (!proxyResponse.ok) {
+      throw createProxyHttpError(proxyResponse, "Weather alerts request");
+    }
+
+    return mapWeatherAlertsPayload(await proxyResponse.json());
+  }
+
+  const token = getWeatherKitToken();
+  if (!token) {
+    const missingTokenError = new Error("Missing WeatherKit configuration.");
+    missingTokenError.code = "missing_token";
+    throw missingTokenError;
+  }
+
+  const path = `${encodeURIComponent(String(lat))}/${encodeURIComponent(String(lng))}`;
+  const url = `https://weatherkit.apple.com/api/v1/weather/en/${path}?dataSets=weatherAlerts&timezone=auto&countryCode=US`;
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    cache: "no-store",
+  });
+
+  if (!response.ok) {
+    const err = new Error(
+      `WeatherKit alerts request failed with status ${response.status}.`,
+    );
+    err.code = "http_error";
+    err.status = response.status;
+    err.source = "weatherkit_direct";
+    throw err;
+  }
+
+  return mapWeatherAlertsPayload(await response.json());
+}
+
+/**
+ * Active severe weather alerts for a location, most severe first.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<WeatherAlert[]>}
+ */
+async function getWeatherAlerts(lat, lng) {
+  const key = getWeatherCacheKey(lat, lng);
+  const cached = weatherAlertsCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < WEATHER_ALERTS_TTL_MS) {
+    return cached.promise;
+  }
 
-  const promise = fetchWeatherForecast(lat, lng).catch((err) => {
-    // Failed calls should not stay cached.
-    weatherForecastCache.delete(key);
+  const promise = fetchWeatherAlerts(lat, lng).catch((err) => {
+    weatherAlertsCache.delete(key);
     throw err;
   });
-  weatherForecastCache.set(key, promise);
+  weatherAlertsCache.set(key, { promise, fetchedAt: Date.now() });
   return promise;
 }
 
-export { getWeatherForecast };
+export {
+  WEATHER_FORECAST_HORIZON_DAYS,
+  getWeatherForecast,
+  getWeatherSummary,
+  getClimateSummary,
+  getWeatherAlerts,
+};
@@ -5,22 +5,76 @@ import {
   getFestivalAssetUrl,
   setImageWithFallback,
   normalize,
-  getDerivedFestivalStatus,
-  getDaysUntilFestivalStart,
+  withDerivedFestivalDates,
   formatLastUpdated,
+  formatFestivalDistance,
   getGroupKey,
   getListIndicatorData,
   sortFestivals,
   sortGroupKeys,
+  isFestivalOpenOnDate,
+  getFestivalUpcomingRun,
+  getFestivalOpenHourWindow,
+  formatShortDateRange,
   formatDateRange,
   formatTimeRange,
   formatAttendance,
+  parseAttendanceCount,
+  getFestivalOperatingDays,
   getEstablishedYear,
   buildDirectionsHref,
   getSocialEntries,
   getResourceEntries,
 } from "./lib/festival-utils.js";
-import { getWeatherForecast } from "./lib/weather.js";
+import { getDistanceKm } from "./lib/geo.js";
+import {
+  getUpcomingFestivalThemes,
+  getFestivalShowsForDay,
+} from "./lib/festival-events.js";
+import {
+  buildSearchIndex,
+  searchFestivals,
+  getSearchHighlightRanges,
+} from "./lib/search.js";
+import {
+  WEATHER_FORECAST_HORIZON_DAYS,
+  getWeatherForecast,
+  getWeatherSummary,
+  getClimateSummary,
+  getWeatherAlerts,
+} from "./lib/weather.js";
+import {
+  parseRouteState,
+  buildRouteUrl,
+  getCurrentRouteUrl,
+} from "./lib/router.js";
+import {
+  ATTENDANCE_THRESHOLDS,
+  createEmptyFilters,
+  hasActiveFilters,
+  matchesFilters,
+  getFacetCounts,
+  getFilterChips,
+  removeFilterChip,
+  withFilterDateRange,
+  getFilterOptions,
+} from "./lib/filters.js";
+import {
+  buildFestivalCalendar,
+  getFestivalCalendarFileName,
+} from "./lib/calendar.js";
+import {
+  getTimelineRange,
+  getTimelineYears,
+  getTimelineRows,
+  getTimelineTodayOffset,
+} from "./lib/timeline.js";
+import {
+  isUnitSystem,
+  getUnitSystem,
+  setUnitSystem,
+  formatDistanceFromKm,
+} from "./lib/units.js";
 
 /** @typedef {import("./types.js").Festival} Festival */
 
@@ -41,13 +95,22 @@ function isMapLibraryLoaded() {
   return Boolean(libs.map || libs["map"] || libs["full-map"]);
 }
 
+// Long enough for a slow connection; offline the list renders without it.
+const MAPKIT_LOAD_TIMEOUT_MS = 15000;
+
 async function waitForMapKit() {
   // `__mapKitReady` is flipped by the script callback in index.html.
-  // We preserve any existing callback and resolve when it runs.
+  // We preserve any existing callback and resolve when it runs. Offline the
+  // CDN script never loads, so give up after MAPKIT_LOAD_TIMEOUT_MS.
   if (!window.__mapKitReady) {
-    await new Promise((resolve) => {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error("MapKit JS did not load.")),
+        MAPKIT_LOAD_TIMEOUT_MS,
+      );
       const previousInit = window.initMapKit;
       window.initMapKit = () => {
+        clearTimeout(timer);
         try {
           previousInit?.();
         } catch (_) {}
@@ -102,13 +165,11 @@ async function loadFestivals() {
 
   return (data ?? [])
     .filter((f) => f.latitude != null && f.longitude != null)
-    .map((f) => {
-      const derivedStatus = getDerivedFestivalStatus(f, now);
-      const daysUntilStart = getDaysUntilFestivalStart(f, now, derivedStatus);
+    .map((raw) => {
+      // Scheduled runs expand once here; their span backs date sorting.
+      const f = withDerivedFestivalDates(raw, now);
       return {
         ...f,
-        status: derivedStatus,
-        daysUntilStart,
         lat: f.latitude,
         lng: f.longitude,
         subtitle:
@@ -123,10 +184,21 @@ async function loadFestivals() {
 
 // Persisted UI preferences for grouping/sorting and optional list indicators.
 let showUpcomingDaysInList = false;
+let fitMapToResults = false;
+let showSeasonTimeline = false;
+// Season shown in the timeline; not persisted, so each visit opens on this year.
+let seasonTimelineYear = new Date().getFullYear();
+// Starred festival ids; keyed by id so favorites survive data refreshes.
+let favoriteFestivalIds = new Set();
 const SETTINGS_STORAGE_KEYS = {
   group: "renfo.group",
   sort: "renfo.sort",
   showUpcomingDaysInList: "renfo.showUpcomingDaysInList",
+  units: "renfo.units",
+  homeLocation: "renfo.homeLocation",
+  fitMapToResults: "renfo.fitMapToResults",
+  showSeasonTimeline: "renfo.showSeasonTimeline",
+  favorites: "renfo.favorites",
 };
 
 function readStoredSetting(key) {
@@ -322,6 +394,40 @@ function getSocialIconSvg(platform) {
 const $search = document.getElementById("search");
 const $searchClearBtn = document.getElementById("searchClearBtn");
 const $list = document.getElementById("list");
+const $offlineBadge = document.getElementById("offlineBadge");
+const $mapUnavailable = document.getElementById("mapUnavailable");
+const $timeline = document.getElementById("timeline");
+const $timelineStateSelect = document.getElementById("timelineStateSelect");
+const $timelineSummary = document.getElementById("timelineSummary");
+const $timelineYear = document.getElementById("timelineYear");
+const $timelinePrevYearBtn = document.getElementById("timelinePrevYearBtn");
+const $timelineNextYearBtn = document.getElementById("timelineNextYearBtn");
+const $timelineMonths = document.getElementById("timelineMonths");
+const $timelineBody = document.getElementById("timelineBody");
+const $timelineEmpty = document.getElementById("timelineEmpty");
+const $filterBtn = document.getElementById("filterBtn");
+const $filterBadge = document.getElementById("filterBadge");
+const $filterSheet = document.getElementById("filterSheet");
+const $filterResetBtn = document.getElementById("filterResetBtn");
+const $filterDoneBtn = document.getElementById("filterDoneBtn");
+const $filterStatusOptions = document.getElementById("filterStatusOptions");
+const $filterStateOptions = document.getElementById("filterStateOptions");
+const $filterAttendanceOptions = document.getElementById(
+  "filterAttendanceOptions",
+);
+const $filterDateFrom = document.getElementById("filterDateFrom");
+const $filterDateTo = document.getElementById("filterDateTo");
+const $filterDateCount = document.getElementById("filterDateCount");
+const $filterEstablishedAfter = document.getElementById(
+  "filterEstablishedAfter",
+);
+const $filterEstablishedBefore = document.getElementById(
+  "filterEstablishedBefore",
+);
+const $filterEstablishedCount = document.getElementById(
+  "filterEstablishedCount",
+);
+const $filterChips = document.getElementById("filterChips");
 const $group = document.getElementById("groupSelect");
 const $sort = document.getElementById("sortSelect");
 const $sidebar = document.getElementById("sidebar");
@@ -335,11 +441,24 @@ const $groupMenuRow = document.getElementById("groupMenuRow");
 const $sortMenuRow = document.getElementById("sortMenuRow");
 const $groupChoices = document.getElementById("groupChoices");
 const $sortChoices = document.getElementById("sortChoices");
+const $relevanceSortChoice = document.getElementById("relevanceSortChoice");
 const $groupSummary = document.getElementById("groupSummary");
 const $sortSummary = document.getElementById("sortSummary");
 const $daysUntilToggleRow = document.getElementById("daysUntilToggleRow");
 const $daysUntilToggleIcon = document.getElementById("daysUntilToggleIcon");
 const $daysUntilToggleTitle = document.getElementById("daysUntilToggleTitle");
+const $unitsToggleRow = document.getElementById("unitsToggleRow");
+const $unitsToggleValue = document.getElementById("unitsToggleValue");
+const $fitMapToggleRow = document.getElementById("fitMapToggleRow");
+const $fitMapToggleValue = document.getElementById("fitMapToggleValue");
+const $timelineToggleRow = document.getElementById("timelineToggleRow");
+const $timelineToggleValue = document.getElementById("timelineToggleValue");
+const $homeAddressRow = document.getElementById("homeAddressRow");
+const $homeAddressValue = document.getElementById("homeAddressValue");
+const $homeAddressForm = document.getElementById("homeAddressForm");
+const $homeAddressInput = document.getElementById("homeAddressInput");
+const $homeAddressClearBtn = document.getElementById("homeAddressClearBtn");
+const $homeAddressStatus = document.getElementById("homeAddressStatus");
 const $groupChoiceButtons = Array.from(
   document.querySelectorAll('.optionChoice[data-select="group"]'),
 );
@@ -351,7 +470,18 @@ const $detailHeader = document.getElementById("detailHeader");
 const $detailHeaderLogo = document.getElementById("detailHeaderLogo");
 const $detailHeaderTitle = document.getElementById("detailHeaderTitle");
 const $detailCloseBtn = document.getElementById("detailCloseBtn");
+const $detailFavoriteBtn = document.getElementById("detailFavoriteBtn");
 const $detailBody = document.getElementById("detailBody");
+const $detailAlertCard = document.getElementById("detailAlertCard");
+const $detailActionCalendar = document.getElementById("detailActionCalendar");
+const $detailDriveEstimate = document.getElementById("detailDriveEstimate");
+const $detailDriveEstimateText = document.getElementById(
+  "detailDriveEstimateText",
+);
+const $detailDriveEstimateBtn = document.getElementById(
+  "detailDriveEstimateBtn",
+);
+const $detailAlerts = document.getElementById("detailAlerts");
 const $detailHeroLogo = document.getElementById("detailHeroLogo");
 const $detailTitle = document.getElementById("detailTitle");
 const $detailMetaRow = document.getElementById("detailMetaRow");
@@ -377,6 +507,12 @@ const $detailSocials = document.getElementById("detailSocials");
 const $detailLastUpdated = document.getElementById("detailLastUpdated");
 const $detailDescriptionCard = document.getElementById("detailDescriptionCard");
 const $detailDesc = document.getElementById("detailDesc");
+const $detailEventsCard = document.getElementById("detailEventsCard");
+const $detailThemes = document.getElementById("detailThemes");
+const $detailShows = document.getElementById("detailShows");
+const $detailHistoryCard = document.getElementById("detailHistoryCard");
+const $detailHistoryTrend = document.getElementById("detailHistoryTrend");
+const $detailHistoryRows = document.getElementById("detailHistoryRows");
 const $detailActionCall = document.getElementById("detailActionCall");
 const $detailActionDirections = document.getElementById(
   "detailActionDirections",
@@ -410,12 +546,30 @@ const $aboutBackdrop = document.getElementById("aboutBackdrop");
 
 // Shared UI/runtime state.
 let selectedFestivalId = null;
+/** @type {import("./lib/filters.js").FestivalFilters} */
+let activeFilters = createEmptyFilters();
+// Map-provided location for distance sort/grouping: idle | pending | granted | denied.
+let userLocationState = "idle";
+let userLocation = null;
+// Optional saved origin for drive estimates: { label, lat, lng }.
+let homeLocation = null;
+// Set in main() once the map exists.
+let requestMapUserLocation = null;
+let setMapRouteOverlay = null;
+let detailRouteFestivalId = null;
+const driveEstimateCache = new Map();
 // Increments on each detail render request so async work can be ignored if stale.
 let detailRenderVersion = 0;
 let isDetailWeatherExpanded = false;
+let expandedWeatherHourlyDate = null;
+// List row weather loads as rows scroll near the viewport.
+let listWeatherObserver = null;
+const listWeatherTargets = new WeakMap();
 // Avoid repeated image probes for the same URL when building resource rows.
 const resourceAssetExistsCache = new Map();
 const applePlaceCache = new Map();
+// Latest weather alerts per festival id, filled in lazily for map markers.
+const festivalWeatherAlerts = new Map();
 let activeAppleLookAround = null;
 let appleLookAroundProbeHost = null;
 const mobileMedia = window.matchMedia("(max-width: 640px)");
@@ -450,6 +604,23 @@ function getSelectLabel(selectEl) {
   return selectEl.options[selectEl.selectedIndex]?.textContent ?? "";
 }
 
+function getOptionSummary(selectEl) {
+  const label = getSelectLabel(selectEl);
+  // Distance modes fall back to name order when location is unavailable.
+  if (selectEl.value === "distance" && userLocationState === "denied") {
+    return `${label} (location off)`;
+  }
+  // Relevance only applies while searching; otherwise rows are in name order.
+  if (selectEl.value === "relevance" && !$search.value.trim()) {
+    return `${label} (no search)`;
+  }
+  return label;
+}
+
+function isDistanceModeActive() {
+  return $group.value === "distance" || $sort.value === "distance";
+}
+
 function setDetailHeaderTitleProgress(progress) {
   const clamped = Math.min(1, Math.max(0, progress));
   $detailSidebar.style.setProperty(
@@ -482,14 +653,19 @@ function queueDetailHeaderTitleSync() {
 }
 
 function syncOptionsMenuState() {
-  $groupSummary.textContent = getSelectLabel($group);
-  $sortSummary.textContent = getSelectLabel($sort);
+  $groupSummary.textContent = getOptionSummary($group);
+  $sortSummary.textContent = getOptionSummary($sort);
   $daysUntilToggleTitle.textContent = showUpcomingDaysInList
     ? "Hide Indicator"
     : "Show Indicator";
   $daysUntilToggleIcon.innerHTML = getLucideIconMarkup(
     showUpcomingDaysInList ? "eye-off" : "eye",
   );
+  $unitsToggleValue.textContent =
+    getUnitSystem() === "metric" ? "Metric" : "Imperial";
+  $fitMapToggleValue.textContent = fitMapToResults ? "On" : "Off";
+  $timelineToggleValue.textContent = showSeasonTimeline ? "On" : "Off";
+  $homeAddressValue.textContent = homeLocation?.label ?? "Current Location";
   refreshLucideIcons();
 
   for (const button of $groupChoiceButtons) {
@@ -498,6 +674,8 @@ function syncOptionsMenuState() {
   for (const button of $sortChoiceButtons) {
     button.classList.toggle("is-active", button.dataset.value === $sort.value);
   }
+  $relevanceSortChoice.hidden =
+    !$search.value.trim() && $sort.value !== "relevance";
 }
 
 function syncOptionsMenuDirection() {
@@ -536,12 +714,40 @@ function setChoicesOpen(type, open) {
   row.setAttribute("aria-expanded", open ? "true" : "false");
 }
 
+function setHomeAddressStatus(message, isError = false) {
+  $homeAddressStatus.textContent = message;
+  $homeAddressStatus.classList.toggle("is-error", isError);
+}
+
+function setHomeAddressFormOpen(open) {
+  $homeAddressForm.hidden = !open;
+  $homeAddressRow.classList.toggle("is-open", open);
+  $homeAddressRow.setAttribute("aria-expanded", open ? "true" : "false");
+  if (!open) return;
+  $homeAddressInput.value = homeLocation?.label ?? "";
+  setHomeAddressStatus("");
+  $homeAddressInput.focus();
+}
+
 function closeOptionsMenu() {
   $optionsMenu.hidden = true;
   $optionsBtn.classList.remove("is-menu-open");
   $sidebar.classList.remove("options-open");
   setChoicesOpen("group", false);
   setChoicesOpen("sort", false);
+  setHomeAddressFormOpen(false);
+}
+
+function closeFilterSheet() {
+  $filterSheet.hidden = true;
+  $filterBtn.setAttribute("aria-expanded", "false");
+}
+
+function toggleFilterSheet() {
+  const opening = $filterSheet.hidden;
+  closeOptionsMenu();
+  $filterSheet.hidden = !opening;
+  $filterBtn.setAttribute("aria-expanded", opening ? "true" : "false");
 }
 
 function toggleOptionsMenu() {
@@ -560,6 +766,7 @@ function toggleOptionsMenu() {
 }
 
 function toggleChoices(type) {
+  setHomeAddressFormOpen(false);
   if (type === "group") {
     const opening = $groupChoices.hidden;
     setChoicesOpen("group", opening);
@@ -595,6 +802,17 @@ function closeAboutModal(options = {}) {
   if (restoreFocus) $aboutOpenBtn?.focus();
 }
 
+function hasSelectOption(selectEl, value) {
+  return Array.from(selectEl.options).some((option) => option.value === value);
+}
+
+function getDefaultSelectValue(selectEl) {
+  const defaultOption = Array.from(selectEl.options).find(
+    (option) => option.defaultSelected,
+  );
+  return defaultOption?.value ?? selectEl.options[0]?.value ?? "";
+}
+
 function setSelectValue(selectEl, value) {
   if (selectEl.value === value) return;
   selectEl.value = value;
@@ -604,18 +822,12 @@ function setSelectValue(selectEl, value) {
 function applyStoredUiSettings() {
   // Apply only valid stored values so new option sets don't break UI state.
   const storedGroup = readStoredSetting(SETTINGS_STORAGE_KEYS.group);
-  if (
-    storedGroup &&
-    Array.from($group.options).some((option) => option.value === storedGroup)
-  ) {
+  if (storedGroup && hasSelectOption($group, storedGroup)) {
     $group.value = storedGroup;
   }
 
   const storedSort = readStoredSetting(SETTINGS_STORAGE_KEYS.sort);
-  if (
-    storedSort &&
-    Array.from($sort.options).some((option) => option.value === storedSort)
-  ) {
+  if (storedSort && hasSelectOption($sort, storedSort)) {
     $sort.value = storedSort;
   }
 
@@ -625,6 +837,107 @@ function applyStoredUiSettings() {
   if (storedShowUpcomingDays != null) {
     showUpcomingDaysInList = storedShowUpcomingDays === "true";
   }
+
+  // Without a stored choice, units keep the browser-locale default.
+  const storedUnits = readStoredSetting(SETTINGS_STORAGE_KEYS.units);
+  if (isUnitSystem(storedUnits)) setUnitSystem(storedUnits);
+
+  const storedFitMap = readStoredSetting(SETTINGS_STORAGE_KEYS.fitMapToResults);
+  if (storedFitMap != null) {
+    fitMapToResults = storedFitMap === "true";
+  }
+
+  const storedSeasonTimeline = readStoredSetting(
+    SETTINGS_STORAGE_KEYS.showSeasonTimeline,
+  );
+  if (storedSeasonTimeline != null) {
+    showSeasonTimeline = storedSeasonTimeline === "true";
+  }
+
+  favoriteFestivalIds = parseStoredFavorites(
+    readStoredSetting(SETTINGS_STORAGE_KEYS.favorites),
+  );
+
+  homeLocation = parseStoredHomeLocation(
+    readStoredSetting(SETTINGS_STORAGE_KEYS.homeLocation),
+  );
+}
+
+function parseStoredFavorites(value) {
+  if (!value) return new Set();
+  try {
+    const parsed = JSON.parse(value);
+    return new Set(Array.isArray(parsed) ? parsed.map(String) : []);
+  } catch (_) {
+    return new Set();
+  }
+}
+
+function writeStoredFavorites() {
+  writeStoredSetting(
+    SETTINGS_STORAGE_KEYS.favorites,
+    JSON.stringify(Array.from(favoriteFestivalIds)),
+  );
+}
+
+// ---------- Offline support ----------
+const SERVICE_WORKER_URL = "/sw.js";
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((err) => {
+    console.warn("Service worker registration failed.", err);
+  });
+}
+
+function syncOfflineIndicator() {
+  $offlineBadge.hidden = navigator.onLine !== false;
+}
+
+/**
+ * Ask the service worker to keep map/camp images for starred festivals so
+ * they are available offline; unstarred ones are evicted.
+ * @param {Festival[]} festivals
+ */
+function syncFavoriteAssetCache(festivals) {
+  if (!("serviceWorker" in navigator)) return;
+  const urls = festivals
+    .filter((f) => f.isFavorite)
+    .flatMap((f) => [f.mapAssetUrl, f.campAssetUrl])
+    .filter(Boolean);
+  navigator.serviceWorker.ready
+    .then((registration) => {
+      registration.active?.postMessage({ type: "sync-favorite-assets", urls });
+    })
+    .catch(() => {});
+}
+
+function syncFavoriteButton(button, f) {
+  const isFavorite = Boolean(f?.isFavorite);
+  button.classList.toggle("is-favorite", isFavorite);
+  button.setAttribute("aria-pressed", isFavorite ? "true" : "false");
+  button.setAttribute(
+    "aria-label",
+    isFavorite ? "Remove from favorites" : "Add to favorites",
+  );
+}
+
+function parseStoredHomeLocation(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    const { label, lat, lng } = parsed ?? {};
+    if (
+      typeof label !== "string" ||
+      !Number.isFinite(lat) ||
+      !Number.isFinite(lng)
+    ) {
+      return null;
+    }
+    return { label, lat, lng };
+  } catch (_) {
+    return null;
+  }
 }
 
 function isMobileViewport() {
@@ -763,8 +1076,19 @@ $optionsBtn.addEventListener("click", (event) => {
   toggleOptionsMenu();
 });
 $optionsMenu.addEventListener("click", (event) => event.stopPropagation());
+$filterBtn.addEventListener("click", (event) => {
+  event.stopPropagation();
+  toggleFilterSheet();
+});
+$filterDoneBtn.addEventListener("click", closeFilterSheet);
 $groupMenuRow.addEventListener("click", () => toggleChoices("group"));
 $sortMenuRow.addEventListener("click", () => toggleChoices("sort"));
+$homeAddressRow.addEventListener("click", () => {
+  const opening = $homeAddressForm.hidden;
+  setChoicesOpen("group", false);
+  setChoicesOpen("sort", false);
+  setHomeAddressFormOpen(opening);
+});
 document.addEventListener("click", closeOptionsMenu);
 $aboutOpenBtn?.addEventListener("click", (event) => {
   event.stopPropagation();
@@ -784,6 +1108,7 @@ document.addEventListener("keydown", (event) => {
     return;
   }
   closeOptionsMenu();
+  closeFilterSheet();
 });
 $searchClearBtn.addEventListener("click", () => {
   if (!$search.value) return;
@@ -799,7 +1124,13 @@ window.addEventListener("resize", queueDetailHeaderTitleSync);
 function handleMobileSheetPointerDown(event) {
   if (!isMobileViewport()) return;
   if (document.body.classList.contains("mobile-detail-open")) return;
-  if (event.target.closest("button, a, input, select, textarea, label")) return;
+  if (
+    event.target.closest(
+      "button, a, input, select, textarea, label, #filterSheet",
+    )
+  ) {
+    return;
+  }
   if (event.pointerType === "mouse" && event.button !== 0) return;
 
   mobileSheetDrag = {
@@ -862,13 +1193,123 @@ for (const button of $sortChoiceButtons) {
   });
 }
 
+/**
+ * Fill `el` with `text`, wrapping words the search matched in <mark>.
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {Set<string>|null|undefined} terms
+ */
+function setHighlightedText(el, text, terms) {
+  const ranges = getSearchHighlightRanges(text, terms);
+  if (ranges.length === 0) {
+    el.textContent = text;
+    return;
+  }
+
+  const parts = [];
+  let cursor = 0;
+  for (const { start, end } of ranges) {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    const mark = document.createElement("mark");
+    mark.className = "searchMatch";
+    mark.textContent = text.slice(start, end);
+    parts.push(mark);
+    cursor = end;
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  el.replaceChildren(...parts);
+}
+
+/**
+ * Upcoming run whose next open day falls inside the forecast window, for fairs
+ * that are running or about to; null otherwise.
+ * @param {Festival} f
+ */
+function getListWeatherRun(f) {
+  if (f?.lat == null || f?.lng == null) return null;
+  const statusText = normalize(f?.status).trim();
+  if (statusText !== "active" && statusText !== "upcoming") return null;
+  const upcomingRun = getFestivalUpcomingRun(f);
+  if (
+    !upcomingRun ||
+    upcomingRun.daysUntilNext >= WEATHER_FORECAST_HORIZON_DAYS
+  ) {
+    return null;
+  }
+  return upcomingRun;
+}
+
+/**
+ * Fill a row's weather chip with the icon and high for its next open day.
+ * Stays hidden when the forecast can't be loaded.
+ * @param {HTMLElement} chip
+ * @param {Festival} f
+ * @param {{ nextDateKey: string, daysUntilNext: number }} run
+ */
+async function loadListRowWeather(chip, f, run) {
+  let days;
+  try {
+    days = await getWeatherSummary(f.lat, f.lng);
+  } catch (_) {
+    return;
+  }
+  const day = days.find((entry) => entry.date === run.nextDateKey);
+  // The list may have re-rendered while the batch was in flight.
+  if (!day || !chip.isConnected) return;
+
+  const icon = document.createElement("span");
+  icon.className = "rowWeatherIcon";
+  icon.setAttribute("aria-hidden", "true");
+  icon.innerHTML = getWeatherIconSvg(day.icon);
+
+  const high = document.createElement("span");
+  high.className = "rowWeatherHigh";
+  high.textContent = day.tempHigh;
+
+  const dayText =
+    run.daysUntilNext === 0
+      ? "today"
+      : formatShortDateRange(run.nextDateKey, run.nextDateKey);
+  chip.setAttribute("aria-label", `High of ${day.tempHigh} ${dayText}`);
+  chip.title = `High ${dayText}`;
+  chip.replaceChildren(icon, high);
+  chip.hidden = false;
+}
+
+function getListWeatherObserver() {
+  if (!listWeatherObserver && "IntersectionObserver" in window) {
+    listWeatherObserver = new IntersectionObserver(
+      (entries, observer) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          observer.unobserve(entry.target);
+          const target = listWeatherTargets.get(entry.target);
+          if (target) loadListRowWeather(target.chip, target.f, target.run);
+        }
+      },
+      // Start a little early so chips are filled by the time rows are visible.
+      { rootMargin: "200px 0px" },
+    );
+  }
+  return listWeatherObserver;
+}
+
 /**
  * @param {Festival[]} items
  * @param {string} groupMode
  * @param {(festival: Festival) => void} onSelect
+ * @param {(festival: Festival) => void} onToggleFavorite
+ * @param {Map<string, import("./lib/search.js").SearchMatch>|null=} searchMatches
  */
-function renderListGrouped(items, groupMode, onSelect) {
+function renderListGrouped(
+  items,
+  groupMode,
+  onSelect,
+  onToggleFavorite,
+  searchMatches = null,
+) {
   $list.innerHTML = "";
+  listWeatherObserver?.disconnect();
 
   const grouped = new Map();
   for (const f of items) {
@@ -880,7 +1321,7 @@ function renderListGrouped(items, groupMode, onSelect) {
   const groupKeys =
     groupMode === "none"
       ? ["All"]
-      : sortGroupKeys(Array.from(grouped.keys()), groupMode);
+      : sortGroupKeys(Array.from(grouped.keys()), groupMode, grouped);
 
   for (const key of groupKeys) {
     const groupItems = grouped.get(key) ?? items;
@@ -922,11 +1363,46 @@ function renderListGrouped(items, groupMode, onSelect) {
 
       const title = document.createElement("p");
       title.className = "rowTitle";
-      title.textContent = f.name ?? "Untitled";
+      setHighlightedText(
+        title,
+        f.name ?? "Untitled",
+        searchMatches?.get(String(f.id))?.terms,
+      );
 
       rowMain.append(logo, title);
       row.appendChild(rowMain);
 
+      const favoriteBtn = document.createElement("button");
+      favoriteBtn.type = "button";
+      favoriteBtn.className = "rowFavoriteBtn";
+      favoriteBtn.innerHTML = getLucideIconMarkup("star");
+      syncFavoriteButton(favoriteBtn, f);
+      favoriteBtn.addEventListener("click", (event) => {
+        event.stopPropagation();
+        onToggleFavorite(f);
+      });
+      row.appendChild(favoriteBtn);
+
+      const distanceText = formatFestivalDistance(f);
+      if (distanceText) {
+        const distance = document.createElement("span");
+        distance.className = "rowDistance";
+        distance.textContent = distanceText;
+        distance.setAttribute("aria-label", `${distanceText} away`);
+        row.appendChild(distance);
+      }
+
+      const weatherRun = getListWeatherRun(f);
+      const weatherObserver = weatherRun ? getListWeatherObserver() : null;
+      if (weatherObserver) {
+        const weather = document.createElement("span");
+        weather.className = "rowWeather";
+        weather.hidden = true;
+        row.appendChild(weather);
+        listWeatherTargets.set(row, { chip: weather, f, run: weatherRun });
+        weatherObserver.observe(row);
+      }
+
       const indicatorData = getListIndicatorData(f, showUpcomingDaysInList);
       if (indicatorData?.type === "days") {
         const daysWrap = document.createElement("div");
@@ -976,6 +1452,305 @@ function renderListGrouped(items, groupMode, onSelect) {
   refreshLucideIcons();
 }
 
+/**
+ * Neighboring season with festival runs, or null at either end.
+ * @param {Festival[]} items
+ * @param {number} direction Negative for earlier seasons.
+ */
+function getAdjacentTimelineYear(items, direction) {
+  const years = getTimelineYears(items);
+  const candidates =
+    direction < 0
+      ? years.filter((year) => year < seasonTimelineYear).reverse()
+      : years.filter((year) => year > seasonTimelineYear);
+  return candidates[0] ?? null;
+}
+
+/**
+ * Month-by-month bars for each festival run in the selected season. Ignores
+ * grouping; rows are ordered by first run.
+ * @param {Festival[]} items
+ * @param {(festival: Festival) => void} onSelect
+ */
+function renderSeasonTimeline(items, onSelect) {
+  const range = getTimelineRange(seasonTimelineYear);
+  const rows = getTimelineRows(items, range);
+
+  $timelineYear.textContent = String(seasonTimelineYear);
+  $timelinePrevYearBtn.disabled = getAdjacentTimelineYear(items, -1) == null;
+  $timelineNextYearBtn.disabled = getAdjacentTimelineYear(items, 1) == null;
+
+  $timelineMonths.replaceChildren(
+    ...range.months.map((month) => {
+      const label = document.createElement("span");
+      label.className = "timelineMonth";
+      label.style.flexGrow = String(month.dayCount);
+      label.textContent = month.label;
+      return label;
+    }),
+  );
+
+  const grid = document.createElement("div");
+  grid.className = "timelineGrid";
+  grid.setAttribute("aria-hidden", "true");
+  for (const month of range.months) {
+    const column = document.createElement("span");
+    column.className = "timelineGridMonth";
+    column.style.flexGrow = String(month.dayCount);
+    grid.appendChild(column);
+  }
+  const todayOffset = getTimelineTodayOffset(range);
+  if (todayOffset != null) {
+    const today = document.createElement("span");
+    today.className = "timelineToday";
+    today.style.left = `${todayOffset * 100}%`;
+    grid.appendChild(today);
+  }
+
+  const rowEls = rows.map(({ festival: f, bars }) => {
+    const row = document.createElement("button");
+    row.type = "button";
+    row.className = "timelineRow";
+    row.dataset.id = String(f.id);
+    if (
+      selectedFestivalId != null &&
+      String(f.id) === String(selectedFestivalId)
+    ) {
+      row.classList.add("is-selected");
+    }
+    const status = String(f.status ?? "");
+    const statusKey = normalize(status).trim() || "unknown";
+    const dateLabels = bars.map((bar) =>
+      formatShortDateRange(bar.startKey, bar.endKey),
+    );
+    row.setAttribute(
+      "aria-label",
+      `${f.name ?? "Untitled"}, ${status || "Unknown status"}, ${dateLabels.join(", ")}`,
+    );
+
+    const title = document.createElement("p");
+    title.className = "timelineRowTitle";
+    title.textContent = f.name ?? "Untitled";
+
+    const track = document.createElement("div");
+    track.className = "timelineTrack";
+    bars.forEach((bar, index) => {
+      const barEl = document.createElement("span");
+      // Finished runs read as inactive unless the festival has ended for good.
+      const barStatus =
+        bar.isPast && statusKey !== "discontinued" ? "inactive" : statusKey;
+      barEl.className = `timelineBar timelineBar--${barStatus}`;
+      barEl.classList.toggle("is-clipped-start", bar.isClippedStart);
+      barEl.classList.toggle("is-clipped-end", bar.isClippedEnd);
+      barEl.style.left = `${bar.left * 100}%`;
+      barEl.style.width = `${bar.width * 100}%`;
+      barEl.title = dateLabels[index];
+      track.appendChild(barEl);
+    });
+
+    row.append(title, track);
+    row.addEventListener("click", () => onSelect(f));
+    return row;
+  });
+
+  $timelineBody.replaceChildren(grid, ...rowEls);
+  $timelineEmpty.hidden = rows.length > 0;
+  const undatedCount = items.length - rows.length;
+  $timelineSummary.textContent =
+    `${rows.length} ${rows.length === 1 ? "festival" : "festivals"}` +
+    (undatedCount > 0
+      ? ` \u00B7 ${undatedCount} not running in ${seasonTimelineYear}`
+      : "");
+}
+
+/**
+ * State picker above the timeline; mirrors the State facet of the filter sheet.
+ * @param {Festival[]} items
+ */
+function syncTimelineStateSelect(items) {
+  const { states } = getFilterOptions(items);
+  const options = [new Option("All States", "")];
+  if (activeFilters.states.length > 1) {
+    const multiple = new Option(`${activeFilters.states.length} States`, "*");
+    multiple.disabled = true;
+    options.push(multiple);
+  }
+  options.push(...states.map((state) => new Option(state, state)));
+  $timelineStateSelect.replaceChildren(...options);
+  $timelineStateSelect.value =
+    activeFilters.states.length > 1 ? "*" : (activeFilters.states[0] ?? "");
+}
+
+function createFilterOption(label, count, isActive, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "filterOption";
+  button.classList.toggle("is-active", isActive);
+  button.setAttribute("aria-pressed", isActive ? "true" : "false");
+  // Zero-count options stay reachable when already selected so they can be cleared.
+  button.disabled = count === 0 && !isActive;
+
+  const text = document.createElement("span");
+  text.textContent = label;
+  const countEl = document.createElement("span");
+  countEl.className = "filterOptionCount";
+  countEl.textContent = String(count);
+  button.append(text, countEl);
+
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function toggleFilterValue(values, value) {
+  return values.includes(value)
+    ? values.filter((item) => item !== value)
+    : [...values, value];
+}
+
+/**
+ * Rebuild facet options and counts for the filter sheet.
+ * @param {Festival[]} items
+ * @param {(filters: import("./lib/filters.js").FestivalFilters) => void} onChange
+ */
+function renderFilterSheet(items, onChange) {
+  const counts = getFacetCounts(items, activeFilters);
+  const { statuses, states } = getFilterOptions(items);
+
+  $filterStatusOptions.replaceChildren(
+    ...statuses.map((status) =>
+      createFilterOption(
+        status,
+        counts.status.get(status) ?? 0,
+        activeFilters.statuses.includes(status),
+        () =>
+          onChange({
+            ...activeFilters,
+            statuses: toggleFilterValue(activeFilters.statuses, status),
+          }),
+      ),
+    ),
+  );
+
+  $filterStateOptions.replaceChildren(
+    ...states.map((state) =>
+      createFilterOption(
+        state,
+        counts.state.get(state) ?? 0,
+        activeFilters.states.includes(state),
+        () =>
+          onChange({
+            ...activeFilters,
+            states: toggleFilterValue(activeFilters.states, state),
+          }),
+      ),
+    ),
+  );
+
+  $filterAttendanceOptions.replaceChildren(
+    ...ATTENDANCE_THRESHOLDS.map((threshold) => {
+      const isActive = activeFilters.minAttendance === threshold;
+      return createFilterOption(
+        `${threshold.toLocaleString()}+`,
+        counts.attendance.get(threshold) ?? 0,
+        isActive,
+        () =>
+          onChange({
+            ...activeFilters,
+            minAttendance: isActive ? null : threshold,
+          }),
+      );
+    }),
+  );
+
+  // Inputs keep in-progress typing; only sync values that changed elsewhere.
+  if ($filterDateFrom.value !== (activeFilters.dateFrom ?? "")) {
+    $filterDateFrom.value = activeFilters.dateFrom ?? "";
+  }
+  if ($filterDateTo.value !== (activeFilters.dateTo ?? "")) {
+    $filterDateTo.value = activeFilters.dateTo ?? "";
+  }
+  // Keep the date pickers from offering an inverted range.
+  $filterDateFrom.max = activeFilters.dateTo ?? "";
+  $filterDateTo.min = activeFilters.dateFrom ?? "";
+  syncFilterYearInput($filterEstablishedAfter, activeFilters.establishedAfter);
+  syncFilterYearInput(
+    $filterEstablishedBefore,
+    activeFilters.establishedBefore,
+  );
+  $filterDateCount.textContent = `(${counts.date})`;
+  $filterEstablishedCount.textContent = `(${counts.established} known)`;
+
+  const isFiltered = hasActiveFilters(activeFilters);
+  const chipCount = getFilterChips(activeFilters).length;
+  $filterResetBtn.disabled = !isFiltered;
+  $filterBtn.classList.toggle("has-filters", isFiltered);
+  $filterBadge.hidden = chipCount === 0;
+  $filterBadge.textContent = chipCount ? String(chipCount) : "";
+}
+
+function syncFilterYearInput(input, year) {
+  if (getEstablishedYear(input.value) !== year) {
+    input.value = year == null ? "" : String(year);
+  }
+}
+
+/**
+ * Removable chips for active filters, shown above the list.
+ * @param {(filters: import("./lib/filters.js").FestivalFilters) => void} onChange
+ */
+function renderFilterChips(onChange) {
+  const chips = getFilterChips(activeFilters);
+  $filterChips.replaceChildren(
+    ...chips.map((chip) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "filterChip";
+      button.setAttribute("aria-label", `Remove filter: ${chip.label}`);
+
+      const text = document.createElement("span");
+      text.textContent = chip.label;
+      const icon = document.createElement("span");
+      icon.className = "filterChipIcon";
+      icon.setAttribute("aria-hidden", "true");
+      icon.innerHTML = getLucideIconMarkup("x");
+      button.append(text, icon);
+
+      button.addEventListener("click", () =>
+        onChange(removeFilterChip(activeFilters, chip)),
+      );
+      return button;
+    }),
+  );
+  $filterChips.hidden = chips.length === 0;
+  refreshLucideIcons();
+}
+
+let detailCalendarObjectUrl = null;
+
+function setDetailCalendarLink(f) {
+  if (detailCalendarObjectUrl) {
+    URL.revokeObjectURL(detailCalendarObjectUrl);
+    detailCalendarObjectUrl = null;
+  }
+  $detailActionCalendar.removeAttribute("download");
+
+  const ics = f ? buildFestivalCalendar([f], { name: f.name }) : "";
+  // A calendar with no VEVENT means there are no usable dates to export.
+  if (!ics.includes("BEGIN:VEVENT")) {
+    setDetailActionLink($detailActionCalendar, null);
+    return;
+  }
+
+  detailCalendarObjectUrl = URL.createObjectURL(
+    new Blob([ics], { type: "text/calendar;charset=utf-8" }),
+  );
+  setDetailActionLink($detailActionCalendar, detailCalendarObjectUrl);
+  $detailActionCalendar.setAttribute(
+    "download",
+    getFestivalCalendarFileName(f),
+  );
+}
+
 function setDetailActionLink(el, href, openInNewTab = false) {
   if (!href) {
     el.removeAttribute("href");
@@ -1026,9 +1801,112 @@ function syncDetailWeatherToggle(dayCount = 0) {
 
 function resetDetailWeatherToggle() {
   isDetailWeatherExpanded = false;
+  expandedWeatherHourlyDate = null;
   syncDetailWeatherToggle(0);
 }
 
+function clipWeatherHoursToWindow(hours, openHourWindow) {
+  if (!Array.isArray(hours)) return [];
+  if (!openHourWindow) return hours;
+  // Keep every hour that overlaps opening hours (10:30 opening keeps 10 AM).
+  return hours.filter(
+    (hour) =>
+      hour.hour + 1 > openHourWindow.startHour &&
+      hour.hour < openHourWindow.endHour,
+  );
+}
+
+function syncDetailWeatherHourly() {
+  for (const strip of $detailWeatherRows.querySelectorAll(
+    ".detailWeatherHourly",
+  )) {
+    strip.hidden = strip.dataset.date !== expandedWeatherHourlyDate;
+  }
+  for (const button of $detailWeatherRows.querySelectorAll(
+    ".detailWeatherHourlyBtn",
+  )) {
+    button.setAttribute(
+      "aria-expanded",
+      String(button.dataset.date === expandedWeatherHourlyDate),
+    );
+  }
+}
+
+/** @param {import("./types.js").WeatherHour[]} hours */
+function createDetailWeatherHourlyStrip(hours) {
+  const strip = document.createElement("div");
+  strip.className = "detailWeatherHourly";
+  strip.setAttribute("role", "list");
+
+  for (const hour of hours) {
+    const cell = document.createElement("div");
+    cell.className = "detailWeatherHour";
+    cell.setAttribute("role", "listitem");
+
+    const time = document.createElement("span");
+    time.className = "detailWeatherHourTime";
+    time.textContent = hour.timeLabel;
+
+    const icon = document.createElement("span");
+    icon.className = "detailWeatherHourIcon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.innerHTML = getWeatherIconSvg(hour.icon);
+
+    const temp = document.createElement("span");
+    temp.className = "detailWeatherHourTemp";
+    temp.textContent = hour.temperature;
+
+    const precip = document.createElement("span");
+    precip.className = "detailWeatherHourPrecip";
+    precip.textContent = `${hour.precipChancePercent ?? 0}%`;
+    precip.title = hour.precipAmount
+      ? `Chance of precipitation \u00B7 ${hour.precipAmount}`
+      : "Chance of precipitation";
+
+    const wind = document.createElement("span");
+    wind.className = "detailWeatherHourMeta";
+    wind.textContent = hour.wind;
+    wind.title = "Wind";
+
+    const uv = document.createElement("span");
+    uv.className = "detailWeatherHourMeta";
+    uv.textContent = hour.uvIndex != null ? `UV ${hour.uvIndex}` : "UV --";
+    uv.title = "UV index";
+
+    cell.append(time, icon, temp, precip, wind, uv);
+    strip.appendChild(cell);
+  }
+
+  return strip;
+}
+
+function attachDetailWeatherHourly(row, dateKey, hours) {
+  const strip = createDetailWeatherHourlyStrip(hours);
+  strip.dataset.date = dateKey;
+  strip.id = `detailWeatherHourly-${dateKey}`;
+  strip.hidden = true;
+
+  // The day label becomes the toggle; CSS stretches its hit area over the row
+  // so the row stays clickable without nesting the forecast toggle in it.
+  const dayLabel = row.querySelector(".detailWeatherDay");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "detailWeatherHourlyBtn";
+  button.dataset.date = dateKey;
+  button.setAttribute("aria-controls", strip.id);
+  button.setAttribute("aria-expanded", "false");
+  button.append(...dayLabel.childNodes);
+  dayLabel.append(button);
+  button.addEventListener("click", () => {
+    expandedWeatherHourlyDate =
+      expandedWeatherHourlyDate === dateKey ? null : dateKey;
+    syncDetailWeatherHourly();
+  });
+
+  row.classList.add("has-hourly");
+  return strip;
+}
+
 function waitForNextFrame() {
   return new Promise((resolve) => {
     window.requestAnimationFrame(() => resolve());
@@ -1391,6 +2269,116 @@ async function renderDetailAppleMaps(f, renderVersion) {
   }
 }
 
+/**
+ * @param {{ icon: string, precipChancePercent?: number|null, precipAmount?: string|null, dayLabel: string, dateLabel?: string, tempHigh: string, tempLow: string }} day
+ */
+function createDetailWeatherRow(day) {
+  const row = document.createElement("div");
+  row.className = "detailWeatherRow";
+
+  const iconWrap = document.createElement("span");
+  iconWrap.className = "detailWeatherIconWrap";
+
+  const icon = document.createElement("span");
+  icon.className = "detailWeatherIcon";
+  icon.setAttribute("aria-hidden", "true");
+  icon.innerHTML = getWeatherIconSvg(day.icon);
+  iconWrap.append(icon);
+
+  if (
+    typeof day.precipChancePercent === "number" &&
+    Number.isFinite(day.precipChancePercent) &&
+    day.precipChancePercent > 0
+  ) {
+    row.classList.add("has-precip");
+    const precipChance = document.createElement("span");
+    precipChance.className = "detailWeatherPrecip";
+    precipChance.textContent = `${Math.round(day.precipChancePercent)}%`;
+    if (day.precipAmount) precipChance.title = day.precipAmount;
+    iconWrap.append(precipChance);
+  }
+
+  const main = document.createElement("div");
+  main.className = "detailWeatherMain";
+
+  const dayLabel = document.createElement("p");
+  dayLabel.className = "detailWeatherDay";
+  const dayLabelText = document.createElement("span");
+  dayLabelText.className = "detailWeatherDayText";
+  dayLabelText.textContent = day.dayLabel;
+  dayLabel.append(dayLabelText);
+
+  if (day.dateLabel) {
+    const dayDateDivider = document.createElement("span");
+    dayDateDivider.className = "detailWeatherDayDivider";
+    dayDateDivider.textContent = "\u00B7";
+
+    const dayDateLabel = document.createElement("span");
+    dayDateLabel.className = "detailWeatherDate";
+    dayDateLabel.textContent = day.dateLabel;
+
+    dayLabel.append(dayDateDivider, dayDateLabel);
+  }
+  main.append(dayLabel);
+
+  const temps = document.createElement("p");
+  temps.className = "detailWeatherTemps";
+  const tempHigh = document.createElement("span");
+  tempHigh.className = "detailWeatherTempHigh";
+  tempHigh.textContent = day.tempHigh;
+
+  const tempDivider = document.createElement("span");
+  tempDivider.className = "detailWeatherTempDivider";
+  tempDivider.textContent = " / ";
+
+  const tempLow = document.createElement("span");
+  tempLow.className = "detailWeatherTempLow";
+  tempLow.textContent = day.tempLow;
+
+  temps.append(tempHigh, tempDivider, tempLow);
+  row.append(iconWrap, main, temps);
+  return row;
+}
+
+async function renderDetailWeatherOutlook(f, upcomingRun, renderVersion) {
+  // The run starts past the forecast horizon: show when it will be available
+  // plus typical conditions for those dates.
+  const daysUntilForecast =
+    upcomingRun.daysUntilNext - (WEATHER_FORECAST_HORIZON_DAYS - 1);
+  renderWeatherStatus(
+    daysUntilForecast === 1
+      ? "Forecast available tomorrow."
+      : `Forecast available in ${daysUntilForecast} days.`,
+  );
+  syncDetailWeatherToggle(0);
+
+  let climate = null;
+  try {
+    climate = await getClimateSummary(
+      f.lat,
+      f.lng,
+      upcomingRun.nextDateKey,
+      upcomingRun.lastDateKey,
+    );
+  } catch (_) {}
+  if (renderVersion !== detailRenderVersion || !climate) return;
+
+  const row = createDetailWeatherRow({
+    ...climate,
+    dayLabel: "Typical",
+    dateLabel: formatShortDateRange(
+      upcomingRun.nextDateKey,
+      upcomingRun.lastDateKey,
+    ),
+  });
+  row.classList.add("is-climate");
+  if (climate.firstYear && climate.lastYear) {
+    row.title = `Average for these dates, ${climate.firstYear}-${climate.lastYear}`;
+  }
+  $detailWeatherRows.appendChild(row);
+  refreshLucideIcons();
+}
+
 async function renderDetailWeather(f, renderVersion) {
   $detailWeatherRows.innerHTML = "";
   resetDetailWeatherToggle();
@@ -1402,6 +2390,16 @@ async function renderDetailWeather(f, renderVersion) {
   }
 
   $detailWeatherCard.hidden = false;
+
+  const upcomingRun = getFestivalUpcomingRun(f);
+  if (
+    upcomingRun &&
+    upcomingRun.daysUntilNext >= WEATHER_FORECAST_HORIZON_DAYS
+  ) {
+    await renderDetailWeatherOutlook(f, upcomingRun, renderVersion);
+    return;
+  }
+
   renderWeatherStatus("Loading forecast...");
 
   try {
@@ -1420,73 +2418,26 @@ async function renderDetailWeather(f, renderVersion) {
 
     $detailWeatherRows.innerHTML = "";
     for (const [index, day] of weather.days.entries()) {
-      const row = document.createElement("div");
-      row.className = "detailWeatherRow";
+      const row = createDetailWeatherRow(day);
       const isExpandableRow = index === 0 && weather.days.length > 1;
       if (isExpandableRow) {
         row.classList.add("is-expandable");
       }
-
-      const iconWrap = document.createElement("span");
-      iconWrap.className = "detailWeatherIconWrap";
-
-      const icon = document.createElement("span");
-      icon.className = "detailWeatherIcon";
-      icon.setAttribute("aria-hidden", "true");
-      icon.innerHTML = getWeatherIconSvg(day.icon);
-      iconWrap.append(icon);
-
-      if (
-        typeof day.precipChancePercent === "number" &&
-        Number.isFinite(day.precipChancePercent) &&
-        day.precipChancePercent > 0
-      ) {
-        row.classList.add("has-precip");
-        const precipChance = document.createElement("span");
-        precipChance.className = "detailWeatherPrecip";
-        precipChance.textContent = `${Math.round(day.precipChancePercent)}%`;
-        iconWrap.append(precipChance);
+      if (isFestivalOpenOnDate(f, day.date)) {
+        row.classList.add("is-festival-day");
       }
 
-      const main = document.createElement("div");
-      main.className = "detailWeatherMain";
-
-      const dayLabel = document.createElement("p");
-      dayLabel.className = "detailWeatherDay";
-      const dayLabelText = document.createElement("span");
-      dayLabelText.className = "detailWeatherDayText";
-      dayLabelText.textContent = day.dayLabel;
-      dayLabel.append(dayLabelText);
-
-      if (day.dateLabel) {
-        const dayDateDivider = document.createElement("span");
-        dayDateDivider.className = "detailWeatherDayDivider";
-        dayDateDivider.textContent = "\u00B7";
-
-        const dayDateLabel = document.createElement("span");
-        dayDateLabel.className = "detailWeatherDate";
-        dayDateLabel.textContent = day.dateLabel;
-
-        dayLabel.append(dayDateDivider, dayDateLabel);
+      const openHours = clipWeatherHoursToWindow(
+        day.hours,
+        getFestivalOpenHourWindow(f, day.date),
+      );
+      const hourlyStrip =
+        day.date && openHours.length > 0
+          ? attachDetailWeatherHourly(row, day.date, openHours)
+          : null;
+      if (hourlyStrip && index === 0) {
+        hourlyStrip.classList.add("is-first-day");
       }
-      main.append(dayLabel);
-
-      const temps = document.createElement("p");
-      temps.className = "detailWeatherTemps";
-      const tempHigh = document.createElement("span");
-      tempHigh.className = "detailWeatherTempHigh";
-      tempHigh.textContent = day.tempHigh;
-
-      const tempDivider = document.createElement("span");
-      tempDivider.className = "detailWeatherTempDivider";
-      tempDivider.textContent = " / ";
-
-      const tempLow = document.createElement("span");
-      tempLow.className = "detailWeatherTempLow";
-      tempLow.textContent = day.tempLow;
-
-      temps.append(tempHigh, tempDivider, tempLow);
-      row.append(iconWrap, main, temps);
 
       if (isExpandableRow) {
         const toggleButton = document.createElement("button");
@@ -1500,12 +2451,13 @@ async function renderDetailWeather(f, renderVersion) {
         `;
         toggleButton.addEventListener("click", () => {
           isDetailWeatherExpanded = !isDetailWeatherExpanded;
-          syncDetailWeatherToggle($detailWeatherRows.childElementCount);
+          syncDetailWeatherToggle(weather.days.length);
         });
         row.append(toggleButton);
       }
 
       $detailWeatherRows.appendChild(row);
+      if (hourlyStrip) $detailWeatherRows.appendChild(hourlyStrip);
     }
     syncDetailWeatherToggle(weather.days.length);
     refreshLucideIcons();
@@ -1522,10 +2474,13 @@ async function renderDetailWeather(f, renderVersion) {
       return;
     }
 
+    // Proxy errors carry the worker's request ID; showing it lets a
+    // screenshot be matched to the worker logs.
+    const errorRef = error?.requestId ? ` (ref ${error.requestId})` : "";
     if (error?.status === 401 || error?.status === 403) {
       if (error?.source === "proxy") {
         renderWeatherStatus(
-          "Weather unavailable. Weather proxy is not authorized with WeatherKit.",
+          `Weather unavailable. Weather proxy is not authorized with WeatherKit.${errorRef}`,
         );
       } else {
         renderWeatherStatus(
@@ -1536,30 +2491,233 @@ async function renderDetailWeather(f, renderVersion) {
     }
 
     if (error?.status === 429) {
-      renderWeatherStatus("Weather unavailable right now due to rate limits.");
+      const retryMinutes = Math.ceil((error?.retryAfterSeconds ?? 0) / 60);
+      renderWeatherStatus(
+        retryMinutes > 0
+          ? `Weather unavailable right now due to rate limits. Try again in ${retryMinutes} min.${errorRef}`
+          : `Weather unavailable right now due to rate limits.${errorRef}`,
+      );
       return;
     }
 
-    renderWeatherStatus("Weather unavailable right now.");
+    renderWeatherStatus(`Weather unavailable right now.${errorRef}`);
   }
 }
 
-function getResourceIconSvg(type) {
-  if (type === "camp") {
-    return getLucideIconMarkup("tent");
-  }
-  if (type === "tickets") {
-    return getLucideIconMarkup("ticket");
-  }
-  if (type === "lostFound") {
-    return getLucideIconMarkup("shield-question-mark");
-  }
-  return getLucideIconMarkup("map");
+function formatWeatherAlertSeverity(severity) {
+  if (!severity || severity === "unknown") return "Alert";
+  return `${severity.charAt(0).toUpperCase()}${severity.slice(1)}`;
 }
 
-function checkImageAssetExists(url) {
-  if (!url) return Promise.resolve(false);
-  if (resourceAssetExistsCache.has(url))
+/** @param {import("./types.js").WeatherAlert} alert */
+function createDetailAlertItem(alert) {
+  const item = document.createElement(alert.detailsUrl ? "a" : "div");
+  item.className = `detailAlert detailAlert--${alert.severity}`;
+  if (alert.detailsUrl) {
+    item.href = alert.detailsUrl;
+    item.target = "_blank";
+    item.rel = "noopener noreferrer";
+  }
+
+  const icon = document.createElement("span");
+  icon.className = "detailAlertIcon";
+  icon.setAttribute("aria-hidden", "true");
+  icon.innerHTML = getLucideIconMarkup("triangle-alert");
+
+  const text = document.createElement("span");
+  text.className = "detailAlertText";
+  const headline = document.createElement("span");
+  headline.className = "detailAlertHeadline";
+  headline.textContent = alert.headline;
+  const meta = document.createElement("span");
+  meta.className = "detailAlertMeta";
+  meta.textContent = [
+    formatWeatherAlertSeverity(alert.severity),
+    alert.expiresLabel,
+    alert.source,
+  ]
+    .filter(Boolean)
+    .join(" \u00B7 ");
+  text.append(headline, meta);
+
+  item.append(icon, text);
+  if (alert.detailsUrl) {
+    const chevron = document.createElement("span");
+    chevron.className = "detailAlertChevron";
+    chevron.setAttribute("aria-hidden", "true");
+    chevron.innerHTML = getLucideIconMarkup("chevron-right");
+    item.append(chevron);
+  }
+  return item;
+}
+
+function getDriveOrigin() {
+  // A saved home address wins over live location so estimates stay stable.
+  if (homeLocation) return { ...homeLocation, kind: "home" };
+  if (userLocation) return { ...userLocation, kind: "location" };
+  return null;
+}
+
+function getDriveEstimateCacheKey(origin, f) {
+  // ~100 m rounding keeps location jitter from forcing new route requests.
+  const key = (lat, lng) => `${lat.toFixed(3)},${lng.toFixed(3)}`;
+  return `${key(origin.lat, origin.lng)}->${key(f.lat, f.lng)}`;
+}
+
+function requestDrivingRoute(origin, f) {
+  if (typeof window.mapkit?.Directions !== "function") {
+    return Promise.reject(new Error("MapKit Directions is unavailable."));
+  }
+
+  return new Promise((resolve, reject) => {
+    const directions = new window.mapkit.Directions();
+    const request = {
+      origin: new window.mapkit.Coordinate(origin.lat, origin.lng),
+      destination: new window.mapkit.Coordinate(f.lat, f.lng),
+    };
+    const automobile = window.mapkit.Directions.Transport?.Automobile;
+    if (automobile) request.transportType = automobile;
+
+    directions.route(request, (error, data) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const route = Array.isArray(data?.routes) ? data.routes[0] : null;
+      if (!route) {
+        reject(new Error("No driving route found."));
+        return;
+      }
+      resolve(route);
+    });
+  });
+}
+
+function getDriveEstimate(origin, f) {
+  const key = getDriveEstimateCacheKey(origin, f);
+  if (driveEstimateCache.has(key)) return driveEstimateCache.get(key);
+
+  const promise = requestDrivingRoute(origin, f).catch((error) => {
+    driveEstimateCache.delete(key);
+    throw error;
+  });
+  driveEstimateCache.set(key, promise);
+  return promise;
+}
+
+function formatDriveDuration(seconds) {
+  const totalMinutes = Math.max(1, Math.round(seconds / 60));
+  if (totalMinutes < 60) return `${totalMinutes} min`;
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return minutes ? `${hours} hr ${minutes} min` : `${hours} hr`;
+}
+
+function setDetailDriveEstimateState(text, options = {}) {
+  const { muted = false, buttonLabel = null, buttonActive = false } = options;
+  $detailDriveEstimateText.textContent = text;
+  $detailDriveEstimateText.classList.toggle("is-muted", muted);
+  $detailDriveEstimateBtn.hidden = !buttonLabel;
+  $detailDriveEstimateBtn.textContent = buttonLabel ?? "";
+  $detailDriveEstimateBtn.classList.toggle("is-active", buttonActive);
+  $detailDriveEstimate.hidden = false;
+}
+
+async function renderDetailDriveEstimate(f, renderVersion) {
+  $detailDriveEstimateBtn.onclick = null;
+  if (typeof window.mapkit?.Directions !== "function") {
+    $detailDriveEstimate.hidden = true;
+    return;
+  }
+
+  const origin = getDriveOrigin();
+  if (!origin) {
+    if (userLocationState === "denied") {
+      setDetailDriveEstimateState(
+        "Location is off. Set a home address in options for drive times.",
+        { muted: true },
+      );
+      return;
+    }
+    setDetailDriveEstimateState("Drive time from your location", {
+      muted: true,
+      buttonLabel: userLocationState === "pending" ? null : "Use Location",
+    });
+    $detailDriveEstimateBtn.onclick = () => {
+      requestMapUserLocation?.();
+      renderDetailDriveEstimate(f, renderVersion);
+    };
+    return;
+  }
+
+  setDetailDriveEstimateState("Estimating drive time...", { muted: true });
+  let route = null;
+  try {
+    route = await getDriveEstimate(origin, f);
+  } catch (_) {}
+  if (renderVersion !== detailRenderVersion) return;
+
+  if (!route) {
+    setDetailDriveEstimateState("Drive time unavailable.", { muted: true });
+    return;
+  }
+
+  const originLabel = origin.kind === "home" ? "home" : "your location";
+  const distance = formatDistanceFromKm(route.distance / 1000);
+  const isRouteShown = detailRouteFestivalId === String(f.id);
+  setDetailDriveEstimateState(
+    `${formatDriveDuration(route.expectedTravelTime)} \u00B7 ${distance} from ${originLabel}`,
+    {
+      buttonLabel: isRouteShown ? "Hide Route" : "Show Route",
+      buttonActive: isRouteShown,
+    },
+  );
+  $detailDriveEstimateBtn.onclick = () => {
+    const showRoute = detailRouteFestivalId !== String(f.id);
+    detailRouteFestivalId = showRoute ? String(f.id) : null;
+    setMapRouteOverlay?.(showRoute ? route : null);
+    $detailDriveEstimateBtn.textContent = showRoute
+      ? "Hide Route"
+      : "Show Route";
+    $detailDriveEstimateBtn.classList.toggle("is-active", showRoute);
+  };
+}
+
+async function renderDetailAlerts(f, renderVersion) {
+  $detailAlerts.innerHTML = "";
+  $detailAlertCard.hidden = true;
+  if (!f || f.lat == null || f.lng == null) return;
+
+  let alerts = [];
+  try {
+    alerts = await getWeatherAlerts(f.lat, f.lng);
+  } catch (_) {}
+  // Alerts are supplementary; failures and stale selections render nothing.
+  if (renderVersion !== detailRenderVersion || alerts.length === 0) return;
+
+  for (const alert of alerts) {
+    $detailAlerts.appendChild(createDetailAlertItem(alert));
+  }
+  $detailAlertCard.hidden = false;
+  refreshLucideIcons();
+}
+
+function getResourceIconSvg(type) {
+  if (type === "camp") {
+    return getLucideIconMarkup("tent");
+  }
+  if (type === "tickets") {
+    return getLucideIconMarkup("ticket");
+  }
+  if (type === "lostFound") {
+    return getLucideIconMarkup("shield-question-mark");
+  }
+  return getLucideIconMarkup("map");
+}
+
+function checkImageAssetExists(url) {
+  if (!url) return Promise.resolve(false);
+  if (resourceAssetExistsCache.has(url))
     return resourceAssetExistsCache.get(url);
 
   const probe = new Promise((resolve) => {
@@ -1614,11 +2772,216 @@ async function renderDetailResources(f, renderVersion) {
   refreshLucideIcons();
 }
 
+function createDetailEventRow(className, primaryText, secondaryText, badge) {
+  const row = document.createElement("div");
+  row.className = "detailEventRow";
+  if (className) row.classList.add(className);
+
+  const main = document.createElement("div");
+  main.className = "detailEventMain";
+  const primary = document.createElement("p");
+  primary.className = "detailEventTitle";
+  primary.textContent = primaryText;
+  main.append(primary);
+  if (secondaryText) {
+    const secondary = document.createElement("p");
+    secondary.className = "detailEventSubtitle";
+    secondary.textContent = secondaryText;
+    main.append(secondary);
+  }
+  row.append(main);
+
+  if (badge) {
+    const badgeEl = document.createElement("span");
+    badgeEl.className = "detailEventBadge";
+    badgeEl.textContent = badge;
+    row.append(badgeEl);
+  }
+  return row;
+}
+
+function createDetailEventsHeading(text) {
+  const heading = document.createElement("p");
+  heading.className = "detailEventsHeading";
+  heading.textContent = text;
+  return heading;
+}
+
+/**
+ * Upcoming theme weekends and today's show times.
+ * @param {Festival|null} f
+ */
+function renderDetailEvents(f) {
+  $detailThemes.innerHTML = "";
+  $detailShows.innerHTML = "";
+  const now = new Date();
+  const themes = f ? getUpcomingFestivalThemes(f, now) : [];
+  const shows = f ? getFestivalShowsForDay(f, now) : [];
+
+  if (themes.length > 0) {
+    $detailThemes.append(createDetailEventsHeading("Theme Weekends"));
+    for (const theme of themes) {
+      const dateLabel = theme.startKey
+        ? formatShortDateRange(theme.startKey, theme.endKey ?? undefined)
+        : "";
+      const subtitle = [dateLabel, theme.description]
+        .filter(Boolean)
+        .join(" \u00B7 ");
+      $detailThemes.append(
+        createDetailEventRow(
+          theme.isCurrent ? "is-current" : "",
+          theme.name,
+          subtitle,
+          theme.isCurrent ? "Now" : null,
+        ),
+      );
+    }
+  }
+
+  if (shows.length > 0) {
+    $detailShows.append(createDetailEventsHeading("Today's Shows"));
+    for (const show of shows) {
+      $detailShows.append(
+        createDetailEventRow("is-show", show.name, show.stage, show.timeLabel),
+      );
+    }
+  }
+
+  $detailThemes.hidden = themes.length === 0;
+  $detailShows.hidden = shows.length === 0;
+  $detailEventsCard.hidden = themes.length === 0 && shows.length === 0;
+}
+
+function getEditionDateLabel(edition) {
+  const operatingDays = getFestivalOperatingDays({
+    schedule: edition.schedule,
+  });
+  const startKey = operatingDays ? operatingDays[0].date : edition.dateBegin;
+  const endKey = operatingDays
+    ? operatingDays[operatingDays.length - 1].date
+    : edition.dateEnd;
+  return formatShortDateRange(startKey, endKey) || "Dates not recorded";
+}
+
+function formatAttendanceChange(count, previousCount) {
+  if (count == null || !previousCount) return null;
+  const percent = Math.round(((count - previousCount) / previousCount) * 100);
+  if (percent === 0) return { text: "0%", direction: "flat" };
+  return {
+    text: `${percent > 0 ? "+" : "\u2212"}${Math.abs(percent)}%`,
+    direction: percent > 0 ? "up" : "down",
+  };
+}
+
+function renderDetailHistoryTrend(editions) {
+  $detailHistoryTrend.innerHTML = "";
+  // Oldest to newest, left to right; a trend needs at least two data points.
+  const points = editions
+    .map((edition) => ({
+      year: edition.year,
+      count: parseAttendanceCount(edition.attendance),
+    }))
+    .filter((point) => point.count != null)
+    .reverse();
+  if (points.length < 2) {
+    $detailHistoryTrend.hidden = true;
+    return;
+  }
+
+  const maxCount = Math.max(...points.map((point) => point.count));
+  for (const point of points) {
+    const bar = document.createElement("span");
+    bar.className = "detailHistoryBar";
+    bar.style.setProperty(
+      "--bar-fill",
+      `${Math.max(8, Math.round((point.count / maxCount) * 100))}%`,
+    );
+    bar.title = `${point.year}: ${point.count.toLocaleString()}`;
+
+    const year = document.createElement("span");
+    year.className = "detailHistoryBarYear";
+    year.textContent = `\u2019${String(point.year).slice(-2)}`;
+    bar.append(year);
+    $detailHistoryTrend.append(bar);
+  }
+  $detailHistoryTrend.setAttribute(
+    "aria-label",
+    `Attendance trend: ${points.map((point) => `${point.year} ${point.count.toLocaleString()}`).join(", ")}`,
+  );
+  $detailHistoryTrend.setAttribute("role", "img");
+  $detailHistoryTrend.hidden = false;
+}
+
+/**
+ * Past editions, newest first, with attendance change against the edition
+ * before each one.
+ * @param {Festival|null} f
+ */
+function renderDetailHistory(f) {
+  $detailHistoryRows.innerHTML = "";
+  const editions = f?.pastEditions ?? [];
+  if (editions.length === 0) {
+    $detailHistoryTrend.innerHTML = "";
+    $detailHistoryTrend.hidden = true;
+    $detailHistoryCard.hidden = true;
+    return;
+  }
+
+  editions.forEach((edition, index) => {
+    const row = document.createElement("div");
+    row.className = "detailHistoryRow";
+
+    const year = document.createElement("span");
+    year.className = "detailHistoryYear";
+    year.textContent = String(edition.year);
+
+    const dates = document.createElement("span");
+    dates.className = "detailHistoryDates";
+    dates.textContent = getEditionDateLabel(edition);
+
+    const attendance = document.createElement("span");
+    attendance.className = "detailHistoryAttendance";
+    attendance.textContent = formatAttendance(edition.attendance) ?? "";
+
+    const change = formatAttendanceChange(
+      parseAttendanceCount(edition.attendance),
+      parseAttendanceCount(editions[index + 1]?.attendance),
+    );
+    if (change) {
+      const changeEl = document.createElement("span");
+      changeEl.className = `detailHistoryChange is-${change.direction}`;
+      changeEl.textContent = change.text;
+      changeEl.title = `Change from ${editions[index + 1].year}`;
+      attendance.append(changeEl);
+    }
+
+    row.append(year, dates, attendance);
+    $detailHistoryRows.append(row);
+  });
+  renderDetailHistoryTrend(editions);
+  $detailHistoryCard.hidden = false;
+}
+
 /** @param {Festival|null} f */
 function updateDetailPanel(f) {
   // Every render attempt gets a new version to guard async weather/resource updates.
   const renderVersion = ++detailRenderVersion;
+  // Route overlays belong to one festival; drop them when the selection changes.
+  if (
+    detailRouteFestivalId != null &&
+    detailRouteFestivalId !== String(f?.id)
+  ) {
+    detailRouteFestivalId = null;
+    setMapRouteOverlay?.(null);
+  }
   if (!f) {
+    setDetailCalendarLink(null);
+    renderDetailEvents(null);
+    renderDetailHistory(null);
+    $detailDriveEstimate.hidden = true;
+    $detailDriveEstimateBtn.onclick = null;
+    $detailAlerts.innerHTML = "";
+    $detailAlertCard.hidden = true;
     $detailWeatherRows.innerHTML = "";
     $detailWeatherStatus.textContent = "";
     $detailWeatherStatus.hidden = true;
@@ -1649,6 +3012,7 @@ function updateDetailPanel(f) {
   setImageWithFallback($detailHeaderLogo, f.logoAssetUrl);
   const detailTitleText = f.name ?? "Untitled";
   $detailTitle.textContent = detailTitleText;
+  syncFavoriteButton($detailFavoriteBtn, f);
   $detailHeaderTitle.textContent = detailTitleText;
 
   const establishedYear = getEstablishedYear(f.established);
@@ -1706,6 +3070,7 @@ function updateDetailPanel(f) {
   const dateRange = formatDateRange(f);
   $detailDateValue.textContent = dateRange;
   $detailTimeValue.textContent = formatTimeRange(f);
+  renderDetailEvents(f);
 
   $detailWeatherRows.innerHTML = "";
   $detailWeatherStatus.textContent = "";
@@ -1729,6 +3094,8 @@ function updateDetailPanel(f) {
     $detailDescriptionCard.hidden = true;
   }
 
+  renderDetailHistory(f);
+
   const lastUpdatedText = formatLastUpdated(f.modified);
   if (lastUpdatedText) {
     $detailLastUpdated.textContent = lastUpdatedText;
@@ -1747,6 +3114,7 @@ function updateDetailPanel(f) {
   setDetailActionLink($detailActionDirections, directionsHref, true);
   setDetailActionLink($detailAddressOpenBtn, directionsHref, true);
   setDetailActionLink($detailActionWebsite, websiteHref, true);
+  setDetailCalendarLink(f);
 
   const socials = getSocialEntries(f);
   $detailSocials.innerHTML = "";
@@ -1772,6 +3140,8 @@ function updateDetailPanel(f) {
 
   $detailResources.innerHTML = "";
   $detailResourcesCard.hidden = true;
+  renderDetailAlerts(f, renderVersion);
+  renderDetailDriveEstimate(f, renderVersion);
   renderDetailWeather(f, renderVersion);
   renderDetailAppleMaps(f, renderVersion);
   renderDetailResources(f, renderVersion);
@@ -1781,29 +3151,80 @@ function updateDetailPanel(f) {
 }
 
 // ---------- Map ----------
-function makeMarker(f) {
-  const coord = new mapkit.Coordinate(f.lat, f.lng);
-  const statusText = String(f?.status ?? "")
-    .trim()
-    .toLowerCase();
-  const isActiveFestival = statusText === "active";
-  const crownGlyphImage = {
-    1: "/assets/images/crown.png",
-    2: "/assets/images/crown.png",
-    3: "/assets/images/crown.png",
+const CROWN_GLYPH_IMAGE = Object.freeze({
+  1: "/assets/images/crown.png",
+  2: "/assets/images/crown.png",
+  3: "/assets/images/crown.png",
+});
+// MapKit's stock marker color, restored when an alert clears.
+const DEFAULT_MARKER_COLOR = "#ff5b40";
+const WEATHER_ALERT_MARKER_COLORS = Object.freeze({
+  extreme: "#ff2d55",
+  severe: "#ff2d55",
+  moderate: "#ff9500",
+  minor: "#ffcc00",
+  unknown: "#ffcc00",
+});
+const WEATHER_ALERT_FETCH_CONCURRENCY = 4;
+const FAVORITE_MARKER_GLYPH = "\u2605";
+
+function isWeatherAlertEligible(f) {
+  // Alerts only matter for fairs that are running or about to.
+  const statusText = normalize(f?.status).trim();
+  if (statusText === "active") return true;
+  return (
+    statusText === "upcoming" &&
+    Number.isFinite(f?.daysUntilStart) &&
+    f.daysUntilStart < WEATHER_FORECAST_HORIZON_DAYS
+  );
+}
+
+function getMarkerStyle(f) {
+  const alertSeverity = isWeatherAlertEligible(f)
+    ? (festivalWeatherAlerts.get(String(f.id))?.[0]?.severity ?? null)
+    : null;
+  if (alertSeverity) {
+    const color = WEATHER_ALERT_MARKER_COLORS[alertSeverity];
+    return {
+      color,
+      selectedColor: color,
+      glyphImage: null,
+      selectedGlyphImage: null,
+      glyphText: "!",
+    };
+  }
+
+  const isActiveFestival = normalize(f?.status).trim() === "active";
+  const color = isActiveFestival ? "#34c759" : DEFAULT_MARKER_COLOR;
+  if (f?.isFavorite) {
+    return {
+      color,
+      selectedColor: color,
+      glyphImage: null,
+      selectedGlyphImage: null,
+      glyphText: FAVORITE_MARKER_GLYPH,
+    };
+  }
+  return {
+    color,
+    selectedColor: color,
+    glyphImage: CROWN_GLYPH_IMAGE,
+    selectedGlyphImage: CROWN_GLYPH_IMAGE,
+    glyphText: "",
   };
+}
 
+function refreshMarkerStyle(marker) {
+  if (!marker?.data) return;
+  Object.assign(marker, getMarkerStyle(marker.data));
+}
+
+function makeMarker(f) {
+  const coord = new mapkit.Coordinate(f.lat, f.lng);
   const marker = new mapkit.MarkerAnnotation(coord, {
     title: f.name,
     subtitle: f.subtitle,
-    glyphImage: crownGlyphImage,
-    selectedGlyphImage: crownGlyphImage,
-    ...(isActiveFestival
-      ? {
-          color: "#34c759",
-          selectedColor: "#34c759",
-        }
-      : {}),
+    ...getMarkerStyle(f),
   });
 
   // clustering
@@ -1834,132 +3255,143 @@ function applySystemColorScheme(map) {
 // ---------- Main ----------
 async function main() {
   refreshLucideIcons();
-  await waitForMapKit();
-
-  const map = new mapkit.Map("map", {
-    showsCompass: getMapFeatureVisibility("Visible"),
-    showsZoomControl: true,
-    showsUserLocationControl: false,
-  });
-
-  const mapTypes = mapkit?.Map?.MapTypes ?? null;
-  const mapTypeByStyle = {
-    standard: mapTypes?.Standard ?? "standard",
-    hybrid: mapTypes?.Hybrid ?? "hybrid",
-    satellite: mapTypes?.Satellite ?? "satellite",
-  };
-
-  function getMapStyleForType(type) {
-    if (type === mapTypeByStyle.hybrid || normalize(type) === "hybrid")
-      return "hybrid";
-    if (type === mapTypeByStyle.satellite || normalize(type) === "satellite")
-      return "satellite";
-    return "standard";
-  }
+  registerServiceWorker();
+  syncOfflineIndicator();
+  window.addEventListener("online", syncOfflineIndicator);
+  window.addEventListener("offline", syncOfflineIndicator);
+  // MapKit comes from Apple's CDN, which the service worker can't cache, so
+  // the list and detail panel never wait on it.
+  const mapKitLoad = waitForMapKit().then(
+    () => true,
+    (err) => {
+      console.warn(err);
+      return false;
+    },
+  );
+  /** @type {any} Null until MapKit loads (and for good when offline). */
+  let map = null;
 
-  function syncMobileMapStyleButtonState() {
-    if (!$mobileMapStyleBtn) return;
-    const currentStyle = getMapStyleForType(map.mapType);
-    const iconName = currentStyle === "hybrid" ? "layers-3" : "map";
-    $mobileMapStyleBtn.classList.remove("is-active");
-    $mobileMapStyleBtn.innerHTML = getLucideIconMarkup(iconName);
-    refreshLucideIcons();
+  const allFestivals = await loadFestivals();
+  const festivalById = new Map(allFestivals.map((f) => [String(f.id), f]));
+  const searchIndex = buildSearchIndex(allFestivals);
+  applyStoredUiSettings();
+  for (const f of allFestivals) {
+    f.isFavorite = favoriteFestivalIds.has(String(f.id));
+  }
+  syncFavoriteAssetCache(allFestivals);
+
+  function applyUserLocation(coordinate) {
+    const lat = coordinate?.latitude;
+    const lng = coordinate?.longitude;
+    if (typeof lat !== "number" || typeof lng !== "number") return;
+
+    const next = { lat, lng };
+    // Tracking reports frequent small moves; only re-sort on meaningful changes.
+    if (userLocation && getDistanceKm(userLocation, next) < 1) return;
+    userLocation = next;
+    userLocationState = "granted";
+    for (const f of allFestivals) {
+      f.distanceKm = getDistanceKm(userLocation, f);
+    }
+    syncOptionsMenuState();
+    rerender();
+    // Drive estimates without a home address start from live location.
+    if (!homeLocation) refreshDetailDriveEstimate();
   }
 
-  function getMobileLocationIconMarkup(isTracking) {
-    if (isTracking) {
-      return `
-        <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-          <path fill="currentColor" d="M3 11.5 21 3l-8.5 18-1.95-7.55z"></path>
-        </svg>
-      `;
+  function requestUserLocation() {
+    if (userLocationState !== "idle") return;
+    if (!window.navigator?.geolocation) {
+      userLocationState = "denied";
+      syncOptionsMenuState();
+      return;
+    }
+    userLocationState = "pending";
+    if (!map) {
+      // No map to prompt through; GPS still answers without a connection.
+      window.navigator.geolocation.getCurrentPosition(
+        (position) => applyUserLocation(position.coords),
+        handleUserLocationError,
+      );
+      return;
+    }
+    try {
+      // MapKit prompts for permission and reports back via user-location events.
+      map.showsUserLocation = true;
+      const known = map.userLocationAnnotation?.coordinate;
+      if (known) applyUserLocation(known);
+    } catch (_) {
+      userLocationState = "denied";
+      syncOptionsMenuState();
     }
-    return `
-      <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-        <path fill="none" stroke="currentColor" stroke-width="1.9" stroke-linecap="round" stroke-linejoin="round" d="M3 11.5 21 3l-8.5 18-1.95-7.55z"></path>
-      </svg>
-    `;
   }
 
-  function syncMobileMapButtonState() {
-    if (!$mobileUserLocationBtn) return;
-    const tracking = !!map.tracksUserLocation;
-    $mobileUserLocationBtn.innerHTML = getMobileLocationIconMarkup(tracking);
-    $mobileUserLocationBtn.setAttribute(
-      "aria-pressed",
-      tracking ? "true" : "false",
-    );
+  function handleUserLocationError() {
+    if (userLocation) return;
+    userLocationState = "denied";
+    syncOptionsMenuState();
+    if (isDistanceModeActive()) rerender();
+    if (!homeLocation) refreshDetailDriveEstimate();
   }
+  requestMapUserLocation = requestUserLocation;
 
-  syncMapChromeForViewport = () => {
-    const isAtFullHeight = mobileSheetState === "full" || mobileSheetOffset <= 1;
-    const isMobileDetailOpen =
-      isMobileViewport() &&
-      document.body.classList.contains("mobile-detail-open");
-    const hideMapControlsOnMobile =
-      isMobileViewport() && (isAtFullHeight || isMobileDetailOpen);
-
-    if ($mobileMapControls) {
-      $mobileMapControls.hidden = hideMapControlsOnMobile;
+  let activeRouteOverlay = null;
+  setMapRouteOverlay = (route) => {
+    if (!map) return;
+    if (activeRouteOverlay) {
+      try {
+        map.removeOverlay(activeRouteOverlay);
+      } catch (_) {}
+      activeRouteOverlay = null;
+    }
+    const polyline = route?.polyline;
+    if (!polyline) return;
+
+    if (typeof window.mapkit?.Style === "function") {
+      polyline.style = new window.mapkit.Style({
+        lineWidth: 5,
+        lineJoin: "round",
+        strokeColor: "#0a84ff",
+        strokeOpacity: 0.85,
+      });
     }
-
     try {
-      map.showsMapTypeControl = false;
-      map.showsUserLocationControl = false;
+      map.addOverlay(polyline);
+      activeRouteOverlay = polyline;
+      map.showItems([polyline], {
+        animate: true,
+        padding: getMapPadding(80, 80, 80, 80),
+      });
     } catch (_) {}
-
-    // Controls can be re-added during internal relayout; enforce hidden state once more.
-    setTimeout(() => {
-      try {
-        map.showsMapTypeControl = false;
-        map.showsUserLocationControl = false;
-      } catch (_) {}
-    }, 120);
-
-    syncMobileMapButtonState();
-    syncMobileMapStyleButtonState();
   };
 
-  if ($mobileMapStyleBtn) {
-    $mobileMapStyleBtn.addEventListener("click", () => {
-      const currentStyle = getMapStyleForType(map.mapType);
-      map.mapType =
-        currentStyle === "hybrid"
-          ? mapTypeByStyle.standard
-          : mapTypeByStyle.hybrid;
-      syncMobileMapStyleButtonState();
-    });
-  }
+  // Annotations + lookup; filled in by attachMap() once MapKit is ready.
+  let annotations = [];
+  const annotationById = new Map();
 
-  if ($mobileUserLocationBtn) {
-    $mobileUserLocationBtn.addEventListener("click", () => {
-      try {
-        map.showsUserLocation = true;
-        map.tracksUserLocation = !map.tracksUserLocation;
-      } catch (_) {}
-      syncMobileMapButtonState();
-    });
-  }
-
-  syncMapChromeForViewport();
-
-  applySystemColorScheme(map);
-
-  const allFestivals = await loadFestivals();
-  applyStoredUiSettings();
-
-  // Create annotations + lookup
-  const annotations = allFestivals.map(makeMarker);
-  const byId = new Map();
-  for (const a of annotations) {
-    if (a?.data?.id != null) byId.set(String(a.data.id), a);
+  async function loadFestivalWeatherAlerts() {
+    // Small worker pool so dozens of fairs don't fire all at once.
+    const queue = allFestivals.filter(isWeatherAlertEligible);
+    const drainQueue = async () => {
+      while (queue.length > 0) {
+        const f = queue.shift();
+        try {
+          festivalWeatherAlerts.set(
+            String(f.id),
+            await getWeatherAlerts(f.lat, f.lng),
+          );
+        } catch (_) {
+          continue;
+        }
+        refreshMarkerStyle(annotationById.get(String(f.id)));
+      }
+    };
+    await Promise.all(
+      Array.from({ length: WEATHER_ALERT_FETCH_CONCURRENCY }, drainQueue),
+    );
   }
 
-  map.addAnnotations(annotations);
-  map.showItems(annotations, {
-    animate: false,
-    padding: getMapPadding(60, 60, 60, 60),
-  });
+  loadFestivalWeatherAlerts();
 
   let selectedAnnotation = null;
   let pendingMapSelectionTimer = null;
@@ -1970,11 +3402,63 @@ async function main() {
     pendingMapSelectionTimer = null;
   }
 
-  function clearFestivalSelection() {
+  function getFestivalById(id) {
+    if (id == null) return null;
+    return festivalById.get(String(id)) ?? null;
+  }
+
+  function refreshDetailDriveEstimate() {
+    const selected = getFestivalById(selectedFestivalId);
+    if (selected) renderDetailDriveEstimate(selected, detailRenderVersion);
+  }
+
+  function geocodeAddress(address) {
+    if (typeof window.mapkit?.Geocoder !== "function") {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve, reject) => {
+      const geocoder = new window.mapkit.Geocoder({ getsUserLocation: false });
+      geocoder.lookup(address, (error, data) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(
+          Array.isArray(data?.results) ? (data.results[0] ?? null) : null,
+        );
+      });
+    });
+  }
+
+  function syncRouteWithUi(options = {}) {
+    // Only non-default list settings go into the URL so plain visits stay clean.
+    const { push = false } = options;
+    const nextUrl = buildRouteUrl({
+      festivalId:
+        selectedFestivalId != null ? String(selectedFestivalId) : null,
+      query: $search.value,
+      group:
+        $group.value !== getDefaultSelectValue($group) ? $group.value : null,
+      sort: $sort.value !== getDefaultSelectValue($sort) ? $sort.value : null,
+    });
+    if (nextUrl === getCurrentRouteUrl()) return;
+
+    try {
+      if (push) {
+        window.history.pushState(null, "", nextUrl);
+      } else {
+        window.history.replaceState(null, "", nextUrl);
+      }
+    } catch (_) {}
+  }
+
+  function clearFestivalSelection(options = {}) {
+    const { updateHistory = true } = options;
     clearPendingMapSelection();
     selectedFestivalId = null;
     updateDetailPanel(null);
     rerender();
+    if (updateHistory) syncRouteWithUi({ push: true });
 
     if (selectedAnnotation) {
       try {
@@ -1986,13 +3470,20 @@ async function main() {
 
   function selectFestival(f, options = {}) {
     if (!f) return;
-    const { zoomToFestival = false, annotation = null } = options;
-    const ann = annotation ?? byId.get(String(f.id)) ?? null;
+    const {
+      zoomToFestival = false,
+      annotation = null,
+      updateHistory = true,
+    } = options;
+    const ann = annotation ?? annotationById.get(String(f.id)) ?? null;
     clearPendingMapSelection();
 
+    // Reselecting the open festival should not stack duplicate history entries.
+    const isNewSelection = String(selectedFestivalId) !== String(f.id);
     selectedFestivalId = f.id;
     updateDetailPanel(f);
     rerender();
+    if (updateHistory && isNewSelection) syncRouteWithUi({ push: true });
 
     if (!ann) return;
 
@@ -2029,81 +3520,406 @@ async function main() {
     }
   }
 
-  $detailCloseBtn.addEventListener("click", clearFestivalSelection);
+  $detailCloseBtn.addEventListener("click", () => clearFestivalSelection());
+  $detailFavoriteBtn.addEventListener("click", () => {
+    const f = getFestivalById(selectedFestivalId);
+    if (f) toggleFavorite(f);
+  });
+
+  function focusFestival(f) {
+    selectFestival(f, { zoomToFestival: true });
+  }
+
+  function getFilteredAndSorted() {
+    const groupMode = $group.value;
+    const sortMode = $sort.value;
+
+    const faceted = allFestivals.filter((f) =>
+      matchesFilters(f, activeFilters),
+    );
+    const searchMatches = searchFestivals(searchIndex, $search.value);
+    const filtered = !searchMatches
+      ? faceted
+      : faceted.filter((f) => searchMatches.has(String(f.id)));
 
-  // Clicking a cluster zooms in to expand
-  map.addEventListener("select", (event) => {
-    const a = event.annotation;
-    if (!a) return;
+    const sorted = sortFestivals(filtered, sortMode, searchMatches);
 
-    if (Array.isArray(a.memberAnnotations) && a.memberAnnotations.length > 1) {
-      map.showItems(a.memberAnnotations, {
+    return { items: sorted, groupMode, searchMatches };
+  }
+
+  function rerender() {
+    if (isDistanceModeActive()) requestUserLocation();
+    const { items, groupMode, searchMatches } = getFilteredAndSorted();
+    $list.hidden = showSeasonTimeline;
+    $timeline.hidden = !showSeasonTimeline;
+    if (showSeasonTimeline) {
+      renderSeasonTimeline(items, focusFestival);
+    } else {
+      renderListGrouped(
+        items,
+        groupMode,
+        focusFestival,
+        toggleFavorite,
+        searchMatches,
+      );
+    }
+    syncMapAnnotations(items);
+  }
+
+  // Annotations currently on the map; festivals outside search/filter results are removed.
+  const shownAnnotations = new Set();
+  let lastResultKey = null;
+  let fitMapTimer = null;
+
+  function getAnnotationResultKey(items) {
+    return items
+      .map((item) => String(item?.data?.id ?? item?.id))
+      .sort()
+      .join(",");
+  }
+
+  /** @param {Festival[]} items */
+  function syncMapAnnotations(items) {
+    if (!map) return;
+    const visibleIds = new Set(items.map((f) => String(f.id)));
+    const toAdd = [];
+    const toRemove = [];
+    for (const a of annotations) {
+      const id = String(a.data.id);
+      // The open festival stays pinned even when it falls out of the results.
+      const shouldShow =
+        visibleIds.has(id) || id === String(selectedFestivalId);
+      if (shouldShow && !shownAnnotations.has(a)) toAdd.push(a);
+      if (!shouldShow && shownAnnotations.has(a)) toRemove.push(a);
+    }
+    if (toRemove.length) {
+      map.removeAnnotations(toRemove);
+      for (const a of toRemove) shownAnnotations.delete(a);
+    }
+    if (toAdd.length) {
+      map.addAnnotations(toAdd);
+      for (const a of toAdd) shownAnnotations.add(a);
+    }
+
+    // Only result changes refit; selection and re-sorts leave the camera alone.
+    const resultKey = getAnnotationResultKey(items);
+    if (resultKey === lastResultKey) return;
+    lastResultKey = resultKey;
+    if (fitMapToResults && items.length > 0) scheduleFitMapToResults(items);
+  }
+
+  function scheduleFitMapToResults(items) {
+    // Debounced so typing a query zooms once instead of on every keystroke.
+    if (fitMapTimer != null) clearTimeout(fitMapTimer);
+    fitMapTimer = setTimeout(() => {
+      fitMapTimer = null;
+      const targets = items
+        .map((f) => annotationById.get(String(f.id)))
+        .filter((a) => a && shownAnnotations.has(a));
+      if (!targets.length) return;
+      map.showItems(targets, {
         animate: true,
-        padding: getMapPadding(60, 60, 60, 60),
+        padding: getMapPadding(80, 80, 80, 80),
       });
-      map.deselectAnnotation(a);
-      return;
+    }, 350);
+  }
+
+  function toggleFavorite(f) {
+    const id = String(f.id);
+    f.isFavorite = !f.isFavorite;
+    if (f.isFavorite) favoriteFestivalIds.add(id);
+    else favoriteFestivalIds.delete(id);
+    writeStoredFavorites();
+    syncFavoriteAssetCache(allFestivals);
+
+    const marker = annotationById.get(id);
+    if (marker) refreshMarkerStyle(marker);
+    if (String(selectedFestivalId) === id) {
+      syncFavoriteButton($detailFavoriteBtn, f);
     }
+    rerender();
+  }
+
+  function applyFilters(next) {
+    activeFilters = next;
+    rerender();
+    syncFilterUi();
+  }
+
+  function syncFilterUi() {
+    renderFilterSheet(allFestivals, applyFilters);
+    renderFilterChips(applyFilters);
+    syncTimelineStateSelect(allFestivals);
+  }
+
+  /**
+   * Apply URL state to the list controls and selection without writing history.
+   * @param {import("./lib/router.js").RouteState} routeState
+   * @param {{ useDefaults?: boolean }=} options
+   */
+  function applyRouteState(routeState, options = {}) {
+    // On first load, missing params keep stored preferences; on back/forward
+    // they mean the entry was recorded with default settings.
+    const { useDefaults = false } = options;
+    const group =
+      routeState.group ?? (useDefaults ? getDefaultSelectValue($group) : null);
+    const sort =
+      routeState.sort ?? (useDefaults ? getDefaultSelectValue($sort) : null);
+
+    $search.value = routeState.query;
+    updateSearchClearVisibility();
+    if (group && hasSelectOption($group, group)) $group.value = group;
+    if (sort && hasSelectOption($sort, sort)) $sort.value = sort;
+    syncOptionsMenuState();
 
-    const festivalId = a?.data?.id;
-    if (festivalId == null || !byId.has(String(festivalId))) {
-      // Ignore non-festival annotations (for example user location).
+    const f = getFestivalById(routeState.festivalId);
+    if (f) {
+      if (String(selectedFestivalId) === String(f.id)) {
+        rerender();
+        return;
+      }
+      selectFestival(f, { zoomToFestival: true, updateHistory: false });
       return;
     }
 
-    selectFestival(a.data, { annotation: a });
-  });
+    if (selectedFestivalId != null) {
+      clearFestivalSelection({ updateHistory: false });
+    } else {
+      rerender();
+    }
 
-  function focusFestival(f) {
-    selectFestival(f, { zoomToFestival: true });
+    // Unknown festival IDs fall back to the plain list.
+    if (routeState.festivalId != null) syncRouteWithUi();
   }
 
-  function getFilteredAndSorted() {
-    const q = normalize($search.value).trim();
-    const groupMode = $group.value;
-    const sortMode = $sort.value;
+  /** Create the map and its annotations; runs only once MapKit has loaded. */
+  function attachMap() {
+    map = new mapkit.Map("map", {
+      showsCompass: getMapFeatureVisibility("Visible"),
+      showsZoomControl: true,
+      showsUserLocationControl: false,
+    });
 
-    const filtered = !q
-      ? allFestivals
-      : allFestivals.filter((f) => {
-          const hay =
-            `${f.name ?? ""} ${f.city ?? ""} ${f.state ?? ""} ${f.stateName ?? ""} ${f.status ?? ""}`.toLowerCase();
-          return hay.includes(q);
+    const mapTypes = mapkit?.Map?.MapTypes ?? null;
+    const mapTypeByStyle = {
+      standard: mapTypes?.Standard ?? "standard",
+      hybrid: mapTypes?.Hybrid ?? "hybrid",
+      satellite: mapTypes?.Satellite ?? "satellite",
+    };
+
+    function getMapStyleForType(type) {
+      if (type === mapTypeByStyle.hybrid || normalize(type) === "hybrid")
+        return "hybrid";
+      if (type === mapTypeByStyle.satellite || normalize(type) === "satellite")
+        return "satellite";
+      return "standard";
+    }
+
+    function syncMobileMapStyleButtonState() {
+      if (!$mobileMapStyleBtn) return;
+      const currentStyle = getMapStyleForType(map.mapType);
+      const iconName = currentStyle === "hybrid" ? "layers-3" : "map";
+      $mobileMapStyleBtn.classList.remove("is-active");
+      $mobileMapStyleBtn.innerHTML = getLucideIconMarkup(iconName);
+      refreshLucideIcons();
+    }
+
+    function getMobileLocationIconMarkup(isTracking) {
+      if (isTracking) {
+        return `
+          <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+            <path fill="currentColor" d="M3 11.5 21 3l-8.5 18-1.95-7.55z"></path>
+          </svg>
+        `;
+      }
+      return `
+        <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+          <path fill="none" stroke="currentColor" stroke-width="1.9" stroke-linecap="round" stroke-linejoin="round" d="M3 11.5 21 3l-8.5 18-1.95-7.55z"></path>
+        </svg>
+      `;
+    }
+
+    function syncMobileMapButtonState() {
+      if (!$mobileUserLocationBtn) return;
+      const tracking = !!map.tracksUserLocation;
+      $mobileUserLocationBtn.innerHTML = getMobileLocationIconMarkup(tracking);
+      $mobileUserLocationBtn.setAttribute(
+        "aria-pressed",
+        tracking ? "true" : "false",
+      );
+    }
+
+    syncMapChromeForViewport = () => {
+      const isAtFullHeight =
+        mobileSheetState === "full" || mobileSheetOffset <= 1;
+      const isMobileDetailOpen =
+        isMobileViewport() &&
+        document.body.classList.contains("mobile-detail-open");
+      const hideMapControlsOnMobile =
+        isMobileViewport() && (isAtFullHeight || isMobileDetailOpen);
+
+      if ($mobileMapControls) {
+        $mobileMapControls.hidden = hideMapControlsOnMobile;
+      }
+
+      try {
+        map.showsMapTypeControl = false;
+        map.showsUserLocationControl = false;
+      } catch (_) {}
+
+      // Controls can be re-added during internal relayout; enforce hidden state once more.
+      setTimeout(() => {
+        try {
+          map.showsMapTypeControl = false;
+          map.showsUserLocationControl = false;
+        } catch (_) {}
+      }, 120);
+
+      syncMobileMapButtonState();
+      syncMobileMapStyleButtonState();
+    };
+
+    if ($mobileMapStyleBtn) {
+      $mobileMapStyleBtn.addEventListener("click", () => {
+        const currentStyle = getMapStyleForType(map.mapType);
+        map.mapType =
+          currentStyle === "hybrid"
+            ? mapTypeByStyle.standard
+            : mapTypeByStyle.hybrid;
+        syncMobileMapStyleButtonState();
+      });
+    }
+
+    if ($mobileUserLocationBtn) {
+      $mobileUserLocationBtn.addEventListener("click", () => {
+        try {
+          map.showsUserLocation = true;
+          map.tracksUserLocation = !map.tracksUserLocation;
+        } catch (_) {}
+        syncMobileMapButtonState();
+      });
+    }
+
+    syncMapChromeForViewport();
+
+    applySystemColorScheme(map);
+
+    map.addEventListener("user-location-change", (event) => {
+      applyUserLocation(event?.coordinate);
+    });
+    map.addEventListener("user-location-error", handleUserLocationError);
+
+    annotations = allFestivals.map(makeMarker);
+    for (const a of annotations) {
+      if (a?.data?.id != null) annotationById.set(String(a.data.id), a);
+    }
+
+    // Clicking a cluster zooms in to expand
+    map.addEventListener("select", (event) => {
+      const a = event.annotation;
+      if (!a) return;
+
+      if (
+        Array.isArray(a.memberAnnotations) &&
+        a.memberAnnotations.length > 1
+      ) {
+        map.showItems(a.memberAnnotations, {
+          animate: true,
+          padding: getMapPadding(60, 60, 60, 60),
         });
+        map.deselectAnnotation(a);
+        return;
+      }
 
-    const sorted = sortFestivals(filtered, sortMode);
+      const festivalId = a?.data?.id;
+      if (festivalId == null || !annotationById.has(String(festivalId))) {
+        // Ignore non-festival annotations (for example user location).
+        return;
+      }
 
-    return { items: sorted, groupMode };
-  }
+      selectFestival(a.data, { annotation: a });
+    });
 
-  function rerender() {
-    const { items, groupMode } = getFilteredAndSorted();
-    renderListGrouped(items, groupMode, focusFestival);
+    // The list may have been filtered or a festival opened while MapKit was
+    // loading, so start from the current results rather than every festival.
+    const { items } = getFilteredAndSorted();
+    lastResultKey = getAnnotationResultKey(items);
+    syncMapAnnotations(items);
+    map.showItems(Array.from(shownAnnotations), {
+      animate: false,
+      padding: getMapPadding(60, 60, 60, 60),
+    });
+    const selected = getFestivalById(selectedFestivalId);
+    if (selected) selectFestival(selected, { zoomToFestival: true });
   }
 
   // Initial render
-  rerender();
-  syncOptionsMenuState();
-  updateSearchClearVisibility();
   updateDetailPanel(null);
+  applyRouteState(parseRouteState());
+  syncRouteWithUi();
+  syncOptionsMenuState();
   syncMobileModeClasses();
 
+  window.addEventListener("popstate", () => {
+    closeOptionsMenu();
+    applyRouteState(parseRouteState(), { useDefaults: true });
+  });
+
   // Controls
+  syncFilterUi();
+  $filterSheet.addEventListener("click", (event) => event.stopPropagation());
+  $filterResetBtn.addEventListener("click", () =>
+    applyFilters(createEmptyFilters()),
+  );
+  $filterDateFrom.addEventListener("change", () => {
+    applyFilters(
+      withFilterDateRange(
+        activeFilters,
+        $filterDateFrom.value || null,
+        activeFilters.dateTo,
+      ),
+    );
+  });
+  $filterDateTo.addEventListener("change", () => {
+    applyFilters(
+      withFilterDateRange(
+        activeFilters,
+        activeFilters.dateFrom,
+        $filterDateTo.value || null,
+      ),
+    );
+  });
+  $filterEstablishedAfter.addEventListener("change", () => {
+    applyFilters({
+      ...activeFilters,
+      establishedAfter: getEstablishedYear($filterEstablishedAfter.value),
+    });
+  });
+  $filterEstablishedBefore.addEventListener("change", () => {
+    applyFilters({
+      ...activeFilters,
+      establishedBefore: getEstablishedYear($filterEstablishedBefore.value),
+    });
+  });
   $search.addEventListener("input", () => {
     updateSearchClearVisibility();
+    syncOptionsMenuState();
     rerender();
+    syncRouteWithUi();
   });
   $group.addEventListener("change", () => {
     writeStoredSetting(SETTINGS_STORAGE_KEYS.group, $group.value);
     syncOptionsMenuState();
     closeOptionsMenu();
     rerender();
+    syncRouteWithUi();
   });
   $sort.addEventListener("change", () => {
     writeStoredSetting(SETTINGS_STORAGE_KEYS.sort, $sort.value);
     syncOptionsMenuState();
     closeOptionsMenu();
     rerender();
+    syncRouteWithUi();
   });
   $daysUntilToggleRow.addEventListener("click", () => {
     showUpcomingDaysInList = !showUpcomingDaysInList;
@@ -2115,6 +3931,104 @@ async function main() {
     closeOptionsMenu();
     rerender();
   });
+  $unitsToggleRow.addEventListener("click", () => {
+    setUnitSystem(getUnitSystem() === "metric" ? "imperial" : "metric");
+    writeStoredSetting(SETTINGS_STORAGE_KEYS.units, getUnitSystem());
+    syncOptionsMenuState();
+    closeOptionsMenu();
+    rerender();
+    // Weather values are formatted at render time, so redraw the open detail.
+    const selected = getFestivalById(selectedFestivalId);
+    if (selected) updateDetailPanel(selected);
+  });
+  $fitMapToggleRow.addEventListener("click", () => {
+    fitMapToResults = !fitMapToResults;
+    writeStoredSetting(SETTINGS_STORAGE_KEYS.fitMapToResults, fitMapToResults);
+    syncOptionsMenuState();
+    closeOptionsMenu();
+    if (fitMapToResults) {
+      const { items } = getFilteredAndSorted();
+      if (items.length > 0) scheduleFitMapToResults(items);
+    }
+  });
+  $timelineToggleRow.addEventListener("click", () => {
+    showSeasonTimeline = !showSeasonTimeline;
+    writeStoredSetting(
+      SETTINGS_STORAGE_KEYS.showSeasonTimeline,
+      showSeasonTimeline,
+    );
+    syncOptionsMenuState();
+    closeOptionsMenu();
+    rerender();
+  });
+  for (const [button, direction] of [
+    [$timelinePrevYearBtn, -1],
+    [$timelineNextYearBtn, 1],
+  ]) {
+    button.addEventListener("click", () => {
+      const { items } = getFilteredAndSorted();
+      const year = getAdjacentTimelineYear(items, direction);
+      if (year == null) return;
+      seasonTimelineYear = year;
+      rerender();
+    });
+  }
+  $timelineStateSelect.addEventListener("change", () => {
+    const state = $timelineStateSelect.value;
+    applyFilters({ ...activeFilters, states: state ? [state] : [] });
+  });
+  function saveHomeLocation(next) {
+    homeLocation = next;
+    writeStoredSetting(
+      SETTINGS_STORAGE_KEYS.homeLocation,
+      next ? JSON.stringify(next) : "",
+    );
+    syncOptionsMenuState();
+    closeOptionsMenu();
+    refreshDetailDriveEstimate();
+  }
+
+  $homeAddressClearBtn.addEventListener("click", () => saveHomeLocation(null));
+  $homeAddressForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const address = $homeAddressInput.value.trim();
+    if (!address) {
+      saveHomeLocation(null);
+      return;
+    }
+    if (typeof window.mapkit?.Geocoder !== "function") {
+      setHomeAddressStatus(
+        "Address lookup needs a connection. Try again once the map loads.",
+        true,
+      );
+      return;
+    }
+
+    setHomeAddressStatus("Looking up address...");
+    $homeAddressInput.disabled = true;
+    let place = null;
+    try {
+      place = await geocodeAddress(address);
+    } catch (_) {}
+    $homeAddressInput.disabled = false;
+    const lat = place?.coordinate?.latitude;
+    const lng = place?.coordinate?.longitude;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      setHomeAddressStatus(
+        "Address not found. Try adding a city and state.",
+        true,
+      );
+      $homeAddressInput.focus();
+      return;
+    }
+    saveHomeLocation({ label: address, lat, lng });
+  });
+
+  if (await mapKitLoad) {
+    attachMap();
+  } else {
+    $mapUnavailable.hidden = false;
+  }
 }
 
 main().catch((err) => {
@@ -13,6 +13,8 @@
  * @property {string|null=} placeId
  * @property {string|null=} placeID
  * @property {number=} daysUntilStart
+ * @property {boolean=} isFavorite Starred locally; see `renfo.favorites`.
+ * @property {number|null=} distanceKm Straight-line distance from the user, once location is known.
  * @property {number} lat
  * @property {number} lng
  * @property {number=} latitude
@@ -27,6 +29,8 @@
  * @property {string=} endDate
  * @property {string=} timeBegin
  * @property {string=} timeEnd
+ * @property {FestivalScheduleEntry[]=} schedule
+ * @property {FestivalOperatingDay[]|null=} operatingDays
  * @property {string=} address
  * @property {string=} zip
  * @property {string=} description
@@ -37,21 +41,114 @@
  * @property {string=} tickets
  * @property {string=} lostAndFound
  * @property {string=} phone
+ * @property {string=} email
  * @property {string=} facebook
  * @property {string=} instagram
  * @property {string=} x
  * @property {string=} youtube
  * @property {boolean=} discontinued
+ * @property {FestivalEdition[]=} editions Raw yearly editions; the current one is copied onto the top-level dates.
+ * @property {number|null=} editionYear Year of the edition shown (running or next announced).
+ * @property {boolean=} datesTba True when every listed edition is over and no dates are announced.
+ * @property {FestivalEdition[]=} pastEditions Finished editions, newest first.
+ * @property {FestivalTheme[]=} themes Theme weekends (of the current edition, when `editions` is used).
+ * @property {FestivalShow[]=} shows Recurring shows (joust, stage acts) with daily times.
+ */
+
+/**
+ * One year's run of a festival. Dates/hours/schedule follow the same rules as
+ * the top-level record fields.
+ * @typedef {Object} FestivalEdition
+ * @property {number} year
+ * @property {string=} dateBegin
+ * @property {string=} dateEnd
+ * @property {string|null=} timeBegin
+ * @property {string|null=} timeEnd
+ * @property {FestivalScheduleEntry[]=} schedule
+ * @property {string|number|null=} attendance
+ * @property {FestivalTheme[]=} themes
+ * @property {FestivalShow[]=} shows
+ */
+
+/**
+ * Theme weekend (e.g. "Pirate Adventure"): a single `date` or a
+ * `dateBegin`/`dateEnd` range.
+ * @typedef {Object} FestivalTheme
+ * @property {string} name
+ * @property {string=} description
+ * @property {string=} date
+ * @property {string=} dateBegin
+ * @property {string=} dateEnd
+ */
+
+/**
+ * Named show with daily start times. Runs every open day unless limited by
+ * `date`/`dateBegin`/`dateEnd` or `weekdays`.
+ * @typedef {Object} FestivalShow
+ * @property {string} name
+ * @property {string=} stage
+ * @property {string[]} times Local HH:MM start times.
+ * @property {string=} date
+ * @property {string=} dateBegin
+ * @property {string=} dateEnd
+ * @property {Array<string|number>=} weekdays
+ */
+
+/**
+ * Raw schedule entry: a single `date` or a `dateBegin`/`dateEnd` range,
+ * optionally limited to `weekdays` (e.g. `["sat", "sun"]`). Missing hours
+ * inherit the festival's `timeBegin`/`timeEnd`.
+ * @typedef {Object} FestivalScheduleEntry
+ * @property {string=} date
+ * @property {string=} dateBegin
+ * @property {string=} dateEnd
+ * @property {Array<string|number>=} weekdays
+ * @property {string|null=} timeBegin
+ * @property {string|null=} timeEnd
+ */
+
+/**
+ * Expanded operating day (`date` is a local `YYYY-MM-DD` key).
+ * @typedef {Object} FestivalOperatingDay
+ * @property {string} date
+ * @property {string|null} timeBegin
+ * @property {string|null} timeEnd
  */
 
 /**
  * @typedef {Object} WeatherDay
  * @property {string} dayLabel
  * @property {string=} dateLabel
+ * @property {string|null=} date
  * @property {string} icon
  * @property {string} tempHigh
  * @property {string} tempLow
  * @property {number|null=} precipChancePercent
+ * @property {string|null=} precipAmount Formatted expected precipitation, when any.
+ * @property {WeatherHour[]=} hours
+ */
+
+/**
+ * One day of the compact forecast shown on list rows.
+ * @typedef {Object} WeatherDaySummary
+ * @property {string|null} date YYYY-MM-DD
+ * @property {string} icon
+ * @property {string} tempHigh
+ * @property {string} tempLow
+ * @property {number|null} precipChancePercent
+ */
+
+/**
+ * Hourly forecast entry; `hour` is the local hour of day (0-23).
+ * @typedef {Object} WeatherHour
+ * @property {number} hour
+ * @property {string} timeLabel
+ * @property {string} icon
+ * @property {string} temperature
+ * @property {number|null} precipChancePercent
+ * @property {string|null} precipAmount
+ * @property {string} wind
+ * @property {number|null} uvIndex
  */
 
 /**
@@ -60,4 +157,27 @@
  * @property {WeatherDay[]} days
  */
 
+/**
+ * @typedef {Object} WeatherClimateSummary
+ * @property {string} icon
+ * @property {string} tempHigh
+ * @property {string} tempLow
+ * @property {number|null} precipChancePercent
+ * @property {string|null} precipAmount
+ * @property {number|null} firstYear
+ * @property {number|null} lastYear
+ */
+
+/**
+ * @typedef {Object} WeatherAlert
+ * @property {string} id
+ * @property {"extreme"|"severe"|"moderate"|"minor"|"unknown"} severity
+ * @property {string} headline
+ * @property {string|null} areaName
+ * @property {string|null} source
+ * @property {string|null} detailsUrl
+ * @property {string|null} endsAt
+ * @property {string|null} expiresLabel
+ */
+
 export {};
@@ -0,0 +1,227 @@
+// Offline support. The app shell is precached but still fetched network-first
+// with `cache: "no-cache"`, so the `max-age=0, must-revalidate` policy in
+// `_headers` keeps deciding freshness whenever the network is reachable.
+// Bump CACHE_VERSION when the shell file list changes.
+const CACHE_VERSION = "v5";
+const SHELL_CACHE = `renfo-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `renfo-data-${CACHE_VERSION}`;
+const WEATHER_CACHE = `renfo-weather-${CACHE_VERSION}`;
+const FAVORITE_ASSETS_CACHE = `renfo-favorite-assets-${CACHE_VERSION}`;
+const KNOWN_CACHES = new Set([
+  SHELL_CACHE,
+  DATA_CACHE,
+  WEATHER_CACHE,
+  FAVORITE_ASSETS_CACHE,
+]);
+
+const APP_SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/config.js",
+  "/site.webmanifest",
+  "/styles.css",
+  "/styles/tokens.css",
+  "/styles/base.css",
+  "/styles/ui.css",
+  "/styles/mobile.css",
+  "/src/main.js",
+  "/src/types.js",
+  "/src/lib/calendar.js",
+  "/src/lib/festival-dates.js",
+  "/src/lib/festival-events.js",
+  "/src/lib/festival-utils.js",
+  "/src/lib/filters.js",
+  "/src/lib/geo.js",
+  "/src/lib/router.js",
+  "/src/lib/search.js",
+  "/src/lib/timeline.js",
+  "/src/lib/units.js",
+  "/src/lib/weather.js",
+  "/assets/images/renfo-logo.png",
+  "/assets/images/renfo-app-icon.png",
+  "/assets/images/crown.png",
+  "/assets/images/favicon.ico",
+];
+const FESTIVALS_DATA_PATH = "/data/festivals.json";
+const WEATHER_FORECAST_PATH = "/api/weather";
+// Icon library from unpkg; without it the UI renders blank buttons offline.
+const ICON_SCRIPT_PATTERN = /^https:\/\/unpkg\.com\/lucide@/;
+// `{state}-{abbreviation}-{map|camp}.png` on the assets host.
+const FAVORITE_ASSET_PATTERN = /-(map|camp)\.png$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) =>
+        cache.addAll(
+          APP_SHELL_URLS.map((url) => new Request(url, { cache: "reload" })),
+        ),
+      )
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("renfo-") && !KNOWN_CACHES.has(key))
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const message = event.data ?? {};
+  if (message.type === "sync-favorite-assets") {
+    event.waitUntil(syncFavoriteAssets(message.urls));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    if (ICON_SCRIPT_PATTERN.test(request.url)) {
+      event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+      return;
+    }
+    if (FAVORITE_ASSET_PATTERN.test(url.pathname)) {
+      event.respondWith(handleFavoriteAssetRequest(request));
+    }
+    return;
+  }
+
+  if (url.pathname === FESTIVALS_DATA_PATH) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    return;
+  }
+  if (url.pathname === WEATHER_FORECAST_PATH) {
+    event.respondWith(handleWeatherRequest(request));
+    return;
+  }
+  if (url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate" || isAppShellPath(url.pathname)) {
+    event.respondWith(handleAppShellRequest(request));
+  }
+});
+
+function isAppShellPath(pathname) {
+  return (
+    APP_SHELL_URLS.includes(pathname) ||
+    pathname.startsWith("/src/") ||
+    pathname.startsWith("/styles/")
+  );
+}
+
+/**
+ * Network-first with revalidation; falls back to the precached copy offline.
+ * Navigations with query strings (shared links) resolve to the cached index.
+ * @param {Request} request
+ */
+async function handleAppShellRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request, { cache: "no-cache" });
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached =
+      (await cache.match(request, { ignoreSearch: true })) ??
+      (request.mode === "navigate" ? await cache.match("/index.html") : null);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * @param {FetchEvent} event
+ * @param {string} cacheName
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request, { cache: "no-cache" }).then(
+    async (response) => {
+      if (response.ok || response.type === "opaque") {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    },
+  );
+
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+/**
+ * Network-first. Only the most recent successful forecast is kept, and it is
+ * only served offline for the same coordinates.
+ * @param {Request} request
+ */
+async function handleWeatherRequest(request) {
+  const cache = await caches.open(WEATHER_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const previous = await cache.keys();
+      await Promise.all(previous.map((key) => cache.delete(key)));
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/** @param {Request} request */
+async function handleFavoriteAssetRequest(request) {
+  const cache = await caches.open(FAVORITE_ASSETS_CACHE);
+  const cached = await cache.match(request.url);
+  return cached ?? fetch(request);
+}
+
+/**
+ * Mirror map/camp images for favorited festivals and drop unfavorited ones.
+ * Assets live on another origin, so responses are stored opaque.
+ * @param {unknown} urls
+ */
+async function syncFavoriteAssets(urls) {
+  const wanted = new Set(
+    (Array.isArray(urls) ? urls : []).map(String).filter(Boolean),
+  );
+  const cache = await caches.open(FAVORITE_ASSETS_CACHE);
+  const existing = await cache.keys();
+  const cachedUrls = new Set(existing.map((key) => key.url));
+
+  await Promise.all(
+    existing
+      .filter((key) => !wanted.has(key.url))
+      .map((key) => cache.delete(key)),
+  );
+  await Promise.all(
+    Array.from(wanted)
+      .filter((url) => !cachedUrls.has(url))
+      .map(async (url) => {
+        try {
+          const response = await fetch(url, { mode: "no-cors" });
+          if (response.ok || response.type === "opaque") {
+            await cache.put(url, response);
+          }
+        } catch (_) {}
+      }),
+  );
+}